@@ -0,0 +1,176 @@
+import { toList, toNumber, getPath } from './v4_values.js';
+
+/**
+ * Builtin commands implemented natively by the VM. Each builtin receives the
+ * interpreter (for variable access) and its evaluated arguments, and returns
+ * the command's result. Builtins never mutate a value in place: commands like
+ * `lappend` and `dict set` store a new value, so watchers always fire.
+ */
+
+function checkArity(args, min, max, usage) {
+    if (args.length < min || args.length > max) {
+        throw new Error(`wrong # args: should be "${usage}"`);
+    }
+}
+
+/**
+ * Resolves a Tcl-style list index: an integer, `end` or `end-N`.
+ * @param {*} index
+ * @param {number} length
+ * @returns {number}
+ */
+function resolveIndex(index, length) {
+    const match = /^end(?:-(\d+))?$/.exec(String(index).trim());
+    if (match) {
+        return length - 1 - (match[1] ? Number(match[1]) : 0);
+    }
+    const number = toNumber(index);
+    if (!Number.isInteger(number)) {
+        throw new Error(`Bad index "${index}": must be an integer, "end" or "end-N"`);
+    }
+    return number;
+}
+
+function toDict(value) {
+    if (value === null || value === undefined || value === '') return {};
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Expected a dictionary but got "${value}"`);
+    }
+    return value;
+}
+
+function setPath(dict, keys, value) {
+    const [key, ...rest] = keys;
+    const copy = { ...toDict(dict) };
+    copy[key] = rest.length === 0 ? value : setPath(copy[key], rest, value);
+    return copy;
+}
+
+function unsetPath(dict, keys) {
+    const [key, ...rest] = keys;
+    const copy = { ...toDict(dict) };
+    if (rest.length === 0) {
+        delete copy[key];
+    } else if (key in copy) {
+        copy[key] = unsetPath(copy[key], rest);
+    }
+    return copy;
+}
+
+const dictCommands = {
+    create(_vm, args) {
+        if (args.length % 2 !== 0) throw new Error('wrong # args: should be "dict create ?key value ...?"');
+        const dict = {};
+        for (let i = 0; i < args.length; i += 2) dict[args[i]] = args[i + 1];
+        return dict;
+    },
+    get(_vm, args) {
+        checkArity(args, 1, Infinity, 'dict get dictionary ?key ...?');
+        const [dict, ...keys] = args;
+        let value = toDict(dict);
+        for (const key of keys) {
+            if (value === null || typeof value !== 'object' || !(key in value)) {
+                throw new Error(`Key "${key}" not known in dictionary`);
+            }
+            value = value[key];
+        }
+        return value;
+    },
+    set(vm, args) {
+        checkArity(args, 3, Infinity, 'dict set varName key ?key ...? value');
+        const [varName, ...rest] = args;
+        const value = rest.pop();
+        const dict = setPath(vm.getVar(varName), rest, value);
+        vm.setVar(varName, dict);
+        return dict;
+    },
+    unset(vm, args) {
+        checkArity(args, 2, Infinity, 'dict unset varName key ?key ...?');
+        const [varName, ...keys] = args;
+        const dict = unsetPath(vm.getVar(varName), keys);
+        vm.setVar(varName, dict);
+        return dict;
+    },
+    keys(_vm, args) {
+        checkArity(args, 1, 1, 'dict keys dictionary');
+        return Object.keys(toDict(args[0]));
+    },
+    exists(_vm, args) {
+        checkArity(args, 2, Infinity, 'dict exists dictionary key ?key ...?');
+        const [dict, ...keys] = args;
+        let value = toDict(dict);
+        for (const key of keys) {
+            if (value === null || typeof value !== 'object' || !(key in value)) return false;
+            value = value[key];
+        }
+        return true;
+    },
+};
+
+const jsonCommands = {
+    // json extract "title" from {$posts}  ->  the "title" of every item
+    extract(_vm, args) {
+        if (args.length !== 3 || args[1] !== 'from') {
+            throw new Error('wrong # args: should be "json extract path from list"');
+        }
+        const [path, , list] = args;
+        return toList(list).map(item => getPath(item, String(path).split('.')));
+    },
+    parse(_vm, args) {
+        checkArity(args, 1, 1, 'json parse text');
+        return JSON.parse(args[0]);
+    },
+    stringify(_vm, args) {
+        checkArity(args, 1, 1, 'json stringify value');
+        return JSON.stringify(args[0]);
+    },
+};
+
+function dispatch(command, subcommands) {
+    return (vm, [subcommand, ...args]) => {
+        if (!Object.hasOwn(subcommands, subcommand)) {
+            const names = Object.keys(subcommands).join(', ');
+            throw new Error(`Unknown ${command} subcommand "${subcommand}": must be one of ${names}`);
+        }
+        return subcommands[subcommand](vm, args);
+    };
+}
+
+export const builtins = {
+    list(_vm, args) {
+        return [...args];
+    },
+    lappend(vm, args) {
+        checkArity(args, 1, Infinity, 'lappend varName ?value ...?');
+        const [varName, ...items] = args;
+        const list = [...toList(vm.getVar(varName)), ...items];
+        vm.setVar(varName, list);
+        return list;
+    },
+    lindex(_vm, args) {
+        checkArity(args, 2, 2, 'lindex list index');
+        const list = toList(args[0]);
+        const index = resolveIndex(args[1], list.length);
+        return index >= 0 && index < list.length ? list[index] : '';
+    },
+    llength(_vm, args) {
+        checkArity(args, 1, 1, 'llength list');
+        return toList(args[0]).length;
+    },
+    lrange(_vm, args) {
+        checkArity(args, 3, 3, 'lrange list first last');
+        const list = toList(args[0]);
+        const first = Math.max(0, resolveIndex(args[1], list.length));
+        const last = resolveIndex(args[2], list.length);
+        return list.slice(first, last + 1);
+    },
+    lremove(_vm, args) {
+        checkArity(args, 1, Infinity, 'lremove list ?index ...?');
+        const [value, ...indices] = args;
+        const list = toList(value);
+        const removed = new Set(indices.map(index => resolveIndex(index, list.length)));
+        return list.filter((_, i) => !removed.has(i));
+    },
+    dict: dispatch('dict', dictCommands),
+    json: dispatch('json', jsonCommands),
+};
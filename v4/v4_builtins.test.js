@@ -0,0 +1,70 @@
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.224.0/testing/asserts.ts";
+import { builtins } from "./v4_builtins.js";
+
+// A minimal stand-in for the interpreter's variable access
+function fakeVM(vars = {}) {
+    const state = new Map(Object.entries(vars));
+    return {
+        state,
+        getVar: name => state.get(name),
+        setVar: (name, value) => state.set(name, value),
+    };
+}
+
+Deno.test("Builtins: list commands", () => {
+    const vm = fakeVM();
+    assertEquals(builtins.list(vm, ["a", "b"]), ["a", "b"]);
+    assertEquals(builtins.llength(vm, [["a", "b", "c"]]), 3);
+    assertEquals(builtins.llength(vm, [""]), 0);
+    assertEquals(builtins.lindex(vm, [["a", "b", "c"], 1]), "b");
+    assertEquals(builtins.lindex(vm, [["a", "b", "c"], "end"]), "c");
+    assertEquals(builtins.lindex(vm, [["a", "b", "c"], 7]), "");
+    assertEquals(builtins.lrange(vm, [["a", "b", "c", "d"], 1, "end-1"]), ["b", "c"]);
+    assertEquals(builtins.lremove(vm, [["a", "b", "c", "d"], 0, "end"]), ["b", "c"]);
+});
+
+Deno.test("Builtins: lappend stores a new list", () => {
+    const original = ["a"];
+    const vm = fakeVM({ todos: original });
+    const result = builtins.lappend(vm, ["todos", "b", "c"]);
+
+    assertEquals(result, ["a", "b", "c"]);
+    assertEquals(vm.state.get("todos"), ["a", "b", "c"]);
+    assertEquals(original, ["a"]);
+
+    builtins.lappend(vm, ["fresh", "x"]);
+    assertEquals(vm.state.get("fresh"), ["x"]);
+});
+
+Deno.test("Builtins: dict commands", () => {
+    const dict = builtins.dict(fakeVM(), ["create", "name", "Ann", "age", 30]);
+    assertEquals(dict, { name: "Ann", age: 30 });
+    assertEquals(builtins.dict(fakeVM(), ["get", dict, "name"]), "Ann");
+    assertEquals(builtins.dict(fakeVM(), ["keys", dict]), ["name", "age"]);
+    assertEquals(builtins.dict(fakeVM(), ["exists", dict, "email"]), false);
+
+    const vm = fakeVM({ user: dict });
+    builtins.dict(vm, ["set", "user", "address", "city", "Oslo"]);
+    assertEquals(vm.state.get("user"), { name: "Ann", age: 30, address: { city: "Oslo" } });
+    assertEquals(dict, { name: "Ann", age: 30 });
+    assertEquals(builtins.dict(vm, ["get", vm.state.get("user"), "address", "city"]), "Oslo");
+
+    builtins.dict(vm, ["unset", "user", "age"]);
+    assertEquals(Object.keys(vm.state.get("user")), ["name", "address"]);
+});
+
+Deno.test("Builtins: json extract", () => {
+    const posts = [{ title: "A", user: { name: "x" } }, { title: "B", user: { name: "y" } }];
+    assertEquals(builtins.json(fakeVM(), ["extract", "title", "from", posts]), ["A", "B"]);
+    assertEquals(builtins.json(fakeVM(), ["extract", "user.name", "from", posts]), ["x", "y"]);
+});
+
+Deno.test("Builtins: argument errors", () => {
+    assertThrows(() => builtins.lindex(fakeVM(), [["a"]]), Error, 'wrong # args: should be "lindex list index"');
+    assertThrows(() => builtins.lindex(fakeVM(), [["a"], "first"]), Error, "Expected a number");
+    assertThrows(() => builtins.dict(fakeVM(), ["get", { a: 1 }, "b"]), Error, 'Key "b" not known');
+    assertThrows(() => builtins.dict(fakeVM(), ["frobnicate"]), Error, "Unknown dict subcommand");
+});
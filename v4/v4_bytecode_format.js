@@ -0,0 +1,364 @@
+import { Opcodes, OPCODES_VERSION } from './v4_opcodes.js';
+import { TclWebError } from './v4_errors.js';
+
+/**
+ * Serialized forms of compiled programs, so pages can load bytecode
+ * compiled ahead of time without the parser and compiler. A program is
+ * what `Compiler.compile` returns: `{bytecode, constants, locations}`,
+ * where constants may themselves be such chunks (the bodies of `bind`,
+ * `proc`, ...). See v4_bytecode.md for the layout of both formats.
+ */
+
+export const MAGIC = 'TCLW';
+export const FORMAT_VERSION = 1;
+
+// Kinds of operand taken by each opcode; opcodes not listed take none
+export const OPERAND_KINDS = {
+    [Opcodes.PUSH_CONST]: 'constant',
+    [Opcodes.PUSH_VAR]: 'constant',
+    [Opcodes.DEF_BLOCK]: 'chunk',
+    [Opcodes.JUMP]: 'target',
+    [Opcodes.JUMP_IF_FALSE]: 'target',
+    [Opcodes.ITER_NEXT]: 'target',
+    [Opcodes.BUILD_OBJ]: 'count',
+    [Opcodes.BIND_WIDGET]: 'count',
+    [Opcodes.UNBIND_WIDGET]: 'count',
+    [Opcodes.DEF_PROC]: 'count',
+    [Opcodes.DEF_COMPONENT]: 'count',
+    [Opcodes.CALL_PROC]: 'count',
+    [Opcodes.CALL_BUILTIN]: 'count',
+    [Opcodes.HTTP_REQUEST]: 'count',
+    [Opcodes.CONCAT]: 'count',
+    [Opcodes.DRAW]: 'count',
+};
+
+const KNOWN_OPCODES = new Set(Object.values(Opcodes));
+
+// Type tags of constants in the binary format
+const Tags = { STRING: 0, NUMBER: 1, TRUE: 2, FALSE: 3, OBJECT: 4, LIST: 5, CHUNK: 6 };
+
+function loadError(message) {
+    return new TclWebError('LOAD_ERROR', message);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a compiled chunk (a program or a block).
+ */
+export function isChunk(value) {
+    return value !== null && typeof value === 'object' && Array.isArray(value.bytecode) && Array.isArray(value.constants);
+}
+
+/**
+ * Checks that a program is well formed before it is run: every opcode is
+ * known, operands are in range and constants have a serializable type.
+ * @param {object} program
+ * @param {string} [path] How to refer to the chunk in error messages.
+ * @returns {object} The program.
+ * @throws {TclWebError} With code LOAD_ERROR.
+ */
+export function validate(program, path = 'program') {
+    if (!isChunk(program)) throw loadError(`${path} is not a bytecode chunk`);
+    const { bytecode, constants, locations = [] } = program;
+    if (locations.length > 0 && locations.length !== bytecode.length) {
+        throw loadError(`${path} has ${locations.length} locations for ${bytecode.length} instructions`);
+    }
+    constants.forEach((constant, i) => validateConstant(constant, `${path} constant ${i}`));
+    bytecode.forEach((instruction, i) => {
+        const where = `${path} instruction ${i}`;
+        if (!Array.isArray(instruction) || !KNOWN_OPCODES.has(instruction[0])) {
+            throw loadError(`${where}: unknown opcode ${Array.isArray(instruction) ? instruction[0] : instruction}`);
+        }
+        const [opcode, ...operands] = instruction;
+        const kind = OPERAND_KINDS[opcode];
+        if (operands.length !== (kind ? 1 : 0)) throw loadError(`${where}: expected ${kind ? 1 : 0} operand(s)`);
+        if (!kind) return;
+        const [operand] = operands;
+        if (!Number.isInteger(operand) || operand < 0) throw loadError(`${where}: bad operand ${operand}`);
+        if ((kind === 'constant' || kind === 'chunk') && operand >= constants.length) {
+            throw loadError(`${where}: constant ${operand} out of range`);
+        }
+        if (kind === 'chunk' && !isChunk(constants[operand])) throw loadError(`${where}: constant ${operand} is not a block`);
+        if (kind === 'target' && operand > bytecode.length) throw loadError(`${where}: jump target ${operand} out of range`);
+    });
+    return program;
+}
+
+function validateConstant(value, path) {
+    if (isChunk(value)) {
+        validate(value, path);
+    } else if (Array.isArray(value)) {
+        value.forEach((item, i) => validateConstant(item, `${path}.${i}`));
+    } else if (value !== null && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => validateConstant(item, `${path}.${key}`));
+    } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw loadError(`${path} has unsupported type ${value === null ? 'null' : typeof value}`);
+    }
+}
+
+function checkMagic(magic) {
+    if (magic !== MAGIC) throw loadError('Not TCL-Web bytecode (bad magic number)');
+}
+
+function checkVersions(formatVersion, opcodesVersion) {
+    if (formatVersion !== FORMAT_VERSION) throw loadError(`Unsupported bytecode format version ${formatVersion}`);
+    if (opcodesVersion !== OPCODES_VERSION) {
+        throw loadError(`Bytecode was compiled for opcode set ${opcodesVersion}, but this interpreter runs ${OPCODES_VERSION}; recompile it`);
+    }
+}
+
+// --- JSON ---
+
+// Chunks and objects are both JSON objects, so constants other than
+// strings, numbers and booleans are wrapped in a one-key object.
+function constantToJSON(value) {
+    if (isChunk(value)) return { chunk: chunkToJSON(value) };
+    if (Array.isArray(value)) return { list: value.map(constantToJSON) };
+    if (value !== null && typeof value === 'object') {
+        return { object: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, constantToJSON(item)])) };
+    }
+    return value;
+}
+
+function constantFromJSON(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if ('chunk' in value) return chunkFromJSON(value.chunk);
+    if ('list' in value) return value.list.map(constantFromJSON);
+    if ('object' in value) {
+        return Object.fromEntries(Object.entries(value.object).map(([key, item]) => [key, constantFromJSON(item)]));
+    }
+    throw loadError(`Bad constant ${JSON.stringify(value)}`);
+}
+
+function chunkToJSON({ bytecode, constants, locations = [] }) {
+    return {
+        bytecode,
+        constants: constants.map(constantToJSON),
+        locations: locations.map(loc => (loc ? [loc.line, loc.column] : null)),
+    };
+}
+
+function chunkFromJSON(chunk) {
+    if (chunk === null || typeof chunk !== 'object' || !Array.isArray(chunk.constants)) throw loadError('Bad chunk');
+    return {
+        bytecode: chunk.bytecode,
+        constants: chunk.constants.map(constantFromJSON),
+        locations: (chunk.locations || []).map(loc => (loc ? { line: loc[0], column: loc[1] } : null)),
+    };
+}
+
+/**
+ * @param {object} program A compiled program.
+ * @returns {string}
+ */
+export function toJSON(program) {
+    validate(program);
+    return JSON.stringify({ magic: MAGIC, formatVersion: FORMAT_VERSION, opcodesVersion: OPCODES_VERSION, program: chunkToJSON(program) });
+}
+
+/**
+ * @param {string} text Output of `toJSON`.
+ * @returns {object} The validated program.
+ */
+export function fromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw loadError(`Bytecode is not valid JSON: ${error.message}`);
+    }
+    checkMagic(data !== null && typeof data === 'object' ? data.magic : undefined);
+    checkVersions(data.formatVersion, data.opcodesVersion);
+    return validate(chunkFromJSON(data.program));
+}
+
+// --- Binary ---
+
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    byte(value) {
+        this.bytes.push(value);
+    }
+
+    // Unsigned LEB128
+    uint(value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) byte |= 0x80;
+            this.bytes.push(byte);
+        } while (value > 0);
+    }
+
+    float(value) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        for (let i = 0; i < 8; i++) this.bytes.push(view.getUint8(i));
+    }
+
+    string(value) {
+        const encoded = new TextEncoder().encode(value);
+        this.uint(encoded.length);
+        encoded.forEach(byte => this.bytes.push(byte));
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+
+    byte() {
+        if (this.pos >= this.bytes.length) throw loadError('Unexpected end of bytecode');
+        return this.bytes[this.pos++];
+    }
+
+    uint() {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = this.byte();
+            value += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    float() {
+        const view = new DataView(new ArrayBuffer(8));
+        for (let i = 0; i < 8; i++) view.setUint8(i, this.byte());
+        return view.getFloat64(0);
+    }
+
+    string() {
+        const length = this.uint();
+        if (this.pos + length > this.bytes.length) throw loadError('Unexpected end of bytecode');
+        const text = new TextDecoder().decode(this.bytes.subarray(this.pos, this.pos + length));
+        this.pos += length;
+        return text;
+    }
+}
+
+function writeConstant(writer, value) {
+    if (isChunk(value)) {
+        writer.byte(Tags.CHUNK);
+        writeChunk(writer, value);
+    } else if (Array.isArray(value)) {
+        writer.byte(Tags.LIST);
+        writer.uint(value.length);
+        value.forEach(item => writeConstant(writer, item));
+    } else if (typeof value === 'object') {
+        const entries = Object.entries(value);
+        writer.byte(Tags.OBJECT);
+        writer.uint(entries.length);
+        for (const [key, item] of entries) {
+            writer.string(key);
+            writeConstant(writer, item);
+        }
+    } else if (typeof value === 'number') {
+        writer.byte(Tags.NUMBER);
+        writer.float(value);
+    } else if (typeof value === 'boolean') {
+        writer.byte(value ? Tags.TRUE : Tags.FALSE);
+    } else {
+        writer.byte(Tags.STRING);
+        writer.string(value);
+    }
+}
+
+function readConstant(reader) {
+    const tag = reader.byte();
+    switch (tag) {
+        case Tags.STRING: return reader.string();
+        case Tags.NUMBER: return reader.float();
+        case Tags.TRUE: return true;
+        case Tags.FALSE: return false;
+        case Tags.LIST: return Array.from({ length: reader.uint() }, () => readConstant(reader));
+        case Tags.OBJECT: {
+            const value = {};
+            const count = reader.uint();
+            for (let i = 0; i < count; i++) {
+                const key = reader.string();
+                value[key] = readConstant(reader);
+            }
+            return value;
+        }
+        case Tags.CHUNK: return readChunk(reader);
+        default: throw loadError(`Bad constant tag ${tag}`);
+    }
+}
+
+// Instructions are written as the opcode, the operand count and the operands
+function writeChunk(writer, { bytecode, constants, locations = [] }) {
+    writer.uint(constants.length);
+    constants.forEach(constant => writeConstant(writer, constant));
+    writer.uint(bytecode.length);
+    for (const [opcode, ...operands] of bytecode) {
+        writer.byte(opcode);
+        writer.uint(operands.length);
+        operands.forEach(operand => writer.uint(operand));
+    }
+    // Line 0 stands for an instruction without a location
+    writer.uint(locations.length);
+    for (const loc of locations) {
+        writer.uint(loc ? loc.line : 0);
+        writer.uint(loc ? loc.column : 0);
+    }
+}
+
+function readChunk(reader) {
+    const constants = Array.from({ length: reader.uint() }, () => readConstant(reader));
+    const bytecode = Array.from({ length: reader.uint() }, () => {
+        const opcode = reader.byte();
+        return [opcode, ...Array.from({ length: reader.uint() }, () => reader.uint())];
+    });
+    const locations = Array.from({ length: reader.uint() }, () => {
+        const line = reader.uint();
+        const column = reader.uint();
+        return line === 0 ? null : { line, column };
+    });
+    return { bytecode, constants, locations };
+}
+
+/**
+ * @param {object} program A compiled program.
+ * @returns {Uint8Array}
+ */
+export function toBinary(program) {
+    validate(program);
+    const writer = new ByteWriter();
+    [...MAGIC].forEach(char => writer.byte(char.charCodeAt(0)));
+    writer.uint(FORMAT_VERSION);
+    writer.uint(OPCODES_VERSION);
+    writeChunk(writer, program);
+    return Uint8Array.from(writer.bytes);
+}
+
+/**
+ * @param {Uint8Array|ArrayBuffer} bytes Output of `toBinary`.
+ * @returns {object} The validated program.
+ */
+export function fromBinary(bytes) {
+    const reader = new ByteReader(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    checkMagic(reader.bytes.length >= MAGIC.length ? String.fromCharCode(...reader.bytes.subarray(0, MAGIC.length)) : '');
+    reader.pos = MAGIC.length;
+    checkVersions(reader.uint(), reader.uint());
+    const program = readChunk(reader);
+    if (reader.pos !== reader.bytes.length) throw loadError('Unexpected data after the program');
+    return validate(program);
+}
+
+/**
+ * Loads bytecode in either format: a string is read as JSON, bytes as the
+ * binary format.
+ * @param {string|Uint8Array|ArrayBuffer} data
+ * @returns {object} The validated program, ready for `Interpreter.run`.
+ */
+export function load(data) {
+    return typeof data === 'string' ? fromJSON(data) : fromBinary(data);
+}
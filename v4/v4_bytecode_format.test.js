@@ -0,0 +1,98 @@
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.224.0/testing/asserts.ts";
+import { DOMParser } from "https://deno.land/x/deno_dom/deno-dom-wasm.ts";
+
+import Parser from "./v4_parser.js";
+import Compiler, { Opcodes, OPCODES_VERSION } from "./v4_compiler.js";
+import Interpreter from "./v4_interpreter.js";
+import { TclWebError } from "./v4_errors.js";
+import { toJSON, fromJSON, toBinary, fromBinary, load, validate } from "./v4_bytecode_format.js";
+
+const SOURCE = `
+set todos [list "Learn TCL-Web" "Ünïcode ✓"]
+set ratio 0.25
+set offset -3
+set done false
+c app
+  l title "Todos"
+  listbox todo_list -items {$todos}
+proc total a b
+  return [expr {$a} + {$b}]
+bind title
+  .click
+    set clicked [total 1 {$offset}]
+`;
+
+function compile(code) {
+    return new Compiler().compile(new Parser().parse(code));
+}
+
+Deno.test("Bytecode Format: JSON round trip", () => {
+    const program = compile(SOURCE);
+    const json = toJSON(program);
+
+    assertEquals(JSON.parse(json).magic, "TCLW");
+    assertEquals(JSON.parse(json).opcodesVersion, OPCODES_VERSION);
+    assertEquals(fromJSON(json), program);
+    assertEquals(load(json), program);
+});
+
+Deno.test("Bytecode Format: binary round trip", () => {
+    const program = compile(SOURCE);
+    const bytes = toBinary(program);
+
+    assertEquals([...bytes.subarray(0, 4)], [0x54, 0x43, 0x4c, 0x57]); // "TCLW"
+    assertEquals(fromBinary(bytes), program);
+    assertEquals(load(bytes.buffer), program);
+    // Smaller than the JSON form
+    assertEquals(bytes.length < toJSON(program).length, true);
+});
+
+Deno.test("Bytecode Format: loaded programs run", () => {
+    globalThis.document = new DOMParser().parseFromString(`<div id="root"></div>`, "text/html");
+    const interpreter = new Interpreter("root");
+    const { bytecode, constants, locations } = load(toBinary(compile(SOURCE)));
+    interpreter.run(bytecode, constants, new Map(), locations);
+
+    globalThis.document.getElementById("title").dispatchEvent(new Event("click"));
+    assertEquals(interpreter.runtime.getState("clicked"), -2);
+    assertEquals(interpreter.runtime.getState("todos"), ["Learn TCL-Web", "Ünïcode ✓"]);
+});
+
+Deno.test("Bytecode Format: rejects bad headers", () => {
+    const json = JSON.parse(toJSON(compile(`set a 1`)));
+    const cases = [
+        [{ ...json, magic: "ELF" }, "bad magic number"],
+        [{ ...json, formatVersion: 99 }, "Unsupported bytecode format version 99"],
+        [{ ...json, opcodesVersion: OPCODES_VERSION + 1 }, `compiled for opcode set ${OPCODES_VERSION + 1}`],
+    ];
+    for (const [data, message] of cases) {
+        const error = assertThrows(() => fromJSON(JSON.stringify(data)), TclWebError, message);
+        assertEquals(error.code, "LOAD_ERROR");
+    }
+    assertThrows(() => fromJSON("not json"), TclWebError, "not valid JSON");
+    assertThrows(() => fromBinary(new Uint8Array([1, 2])), TclWebError, "bad magic number");
+
+    const bytes = toBinary(compile(`set a "hello"`));
+    assertThrows(() => fromBinary(bytes.subarray(0, bytes.length - 3)), TclWebError, "Unexpected end of bytecode");
+});
+
+Deno.test("Bytecode Format: validates instructions", () => {
+    const cases = [
+        [{ bytecode: [[99]], constants: [] }, "program instruction 0: unknown opcode 99"],
+        [{ bytecode: [[Opcodes.PUSH_CONST, 3]], constants: ["a"] }, "constant 3 out of range"],
+        [{ bytecode: [[Opcodes.POP, 1]], constants: [] }, "expected 0 operand(s)"],
+        [{ bytecode: [[Opcodes.JUMP, 5]], constants: [] }, "jump target 5 out of range"],
+        [{ bytecode: [[Opcodes.DEF_BLOCK, 0]], constants: ["x"] }, "constant 0 is not a block"],
+        [{ bytecode: [], constants: [null] }, "program constant 0 has unsupported type null"],
+        [
+            { bytecode: [], constants: [{ bytecode: [[Opcodes.CALL_PROC]], constants: [] }] },
+            "program constant 0 instruction 0: expected 1 operand(s)",
+        ],
+    ];
+    for (const [program, message] of cases) {
+        assertThrows(() => validate(program), TclWebError, message);
+    }
+});
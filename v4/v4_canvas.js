@@ -0,0 +1,179 @@
+import { toNumber, toList, formatValue } from './v4_values.js';
+
+const ITEM_OPTIONS = ['fill', 'stroke', 'width', 'font'];
+
+// Positional arguments of each shape: [names, usage]. `null` names take a list of points.
+const SHAPES = {
+    circle: [['x', 'y', 'radius'], 'x y radius'],
+    rect: [['x1', 'y1', 'x2', 'y2'], 'x1 y1 x2 y2'],
+    line: [['x1', 'y1', 'x2', 'y2'], 'x1 y1 x2 y2'],
+    polyline: [null, 'x1 y1 x2 y2 ?x y ...?'],
+    text: [['x', 'y', 'text'], 'x y text'],
+    image: [['x', 'y', 'src'], 'x y src'],
+};
+
+function usageError(canvasName, subcommand, usage) {
+    return new Error(`wrong # args: should be "draw ${canvasName} ${subcommand} ${usage}"`);
+}
+
+/**
+ * The retained list of items drawn on one canvas. Every `draw` command edits
+ * the list and the canvas is repainted from it, so items can be moved,
+ * restyled or deleted after they are drawn.
+ */
+export default class CanvasScene {
+    constructor(name, element) {
+        this.name = name;
+        this.element = element;
+        this.items = new Map(); // item id -> { id, shape, coords, text, src, options }
+        this.nextId = 1;
+    }
+
+    /**
+     * Runs a `draw` subcommand.
+     * @param {string} subcommand A shape name or one of clear, move, config, delete.
+     * @param {Array} args The positional arguments.
+     * @param {object} options The `-option value` pairs.
+     * @returns {*} The id of a new item, or '' for the editing subcommands.
+     */
+    draw(subcommand, args, options) {
+        let result = '';
+        if (Object.hasOwn(SHAPES, subcommand)) {
+            result = this.create(subcommand, args, options);
+        } else {
+            switch (subcommand) {
+                case 'clear':
+                    if (args.length !== 0) throw usageError(this.name, 'clear', '');
+                    this.items.clear();
+                    break;
+                case 'move': {
+                    if (args.length !== 3) throw usageError(this.name, 'move', 'id dx dy');
+                    const item = this.item(args[0]);
+                    const [dx, dy] = [toNumber(args[1]), toNumber(args[2])];
+                    // Coordinates alternate x, y; a circle's radius is not a coordinate
+                    const pointCount = item.shape === 'circle' ? 2 : item.coords.length;
+                    item.coords = item.coords.map((value, i) => i >= pointCount ? value : value + (i % 2 === 0 ? dx : dy));
+                    break;
+                }
+                case 'config':
+                    if (args.length !== 1) throw usageError(this.name, 'config', 'id ?-option value ...?');
+                    Object.assign(this.item(args[0]).options, this.itemOptions(options));
+                    break;
+                case 'delete':
+                    for (const id of args) {
+                        this.item(id);
+                        this.items.delete(toNumber(id));
+                    }
+                    break;
+                default: {
+                    const names = [...Object.keys(SHAPES), 'clear', 'move', 'config', 'delete'].join(', ');
+                    throw new Error(`Unknown draw subcommand "${subcommand}": must be one of ${names}`);
+                }
+            }
+        }
+        this.render();
+        return result;
+    }
+
+    create(shape, args, options) {
+        const [names, usage] = SHAPES[shape];
+        const item = { id: this.nextId, shape, coords: [], options: this.itemOptions(options) };
+        if (names === null) {
+            const points = (args.length === 1 ? toList(args[0]) : args).map(toNumber);
+            if (points.length < 4 || points.length % 2 !== 0) throw usageError(this.name, shape, usage);
+            item.coords = points;
+        } else {
+            if (args.length !== names.length) throw usageError(this.name, shape, usage);
+            if (shape === 'text' || shape === 'image') {
+                item.coords = args.slice(0, 2).map(toNumber);
+                item[names[2]] = formatValue(args[2]);
+            } else {
+                item.coords = args.map(toNumber);
+            }
+        }
+        this.items.set(item.id, item);
+        this.nextId++;
+        return item.id;
+    }
+
+    item(id) {
+        const item = this.items.get(toNumber(id));
+        if (!item) throw new Error(`No item "${id}" on canvas "${this.name}"`);
+        return item;
+    }
+
+    itemOptions(options) {
+        const result = {};
+        for (const key in options) {
+            const option = key.slice(1);
+            if (!ITEM_OPTIONS.includes(option)) {
+                throw new Error(`Unknown draw option "${key}": must be one of ${ITEM_OPTIONS.map(o => `-${o}`).join(', ')}`);
+            }
+            result[option] = option === 'width' ? toNumber(options[key]) : formatValue(options[key]);
+        }
+        return result;
+    }
+
+    /**
+     * Repaints every item. Does nothing where the canvas has no 2D context
+     * (e.g. a DOM implementation without canvas support).
+     */
+    render() {
+        const context = typeof this.element.getContext === 'function' ? this.element.getContext('2d') : null;
+        if (!context) return;
+        context.clearRect(0, 0, this.element.width, this.element.height);
+        for (const item of this.items.values()) {
+            this.renderItem(context, item);
+        }
+    }
+
+    renderItem(context, item) {
+        const { fill, stroke, width = 1, font } = item.options;
+        const [x, y] = item.coords;
+        context.save();
+        context.lineWidth = width;
+        if (fill) context.fillStyle = fill;
+        if (stroke) context.strokeStyle = stroke;
+        context.beginPath();
+        switch (item.shape) {
+            case 'circle':
+                context.arc(x, y, item.coords[2], 0, Math.PI * 2);
+                break;
+            case 'rect':
+                context.rect(x, y, item.coords[2] - x, item.coords[3] - y);
+                break;
+            case 'line':
+            case 'polyline':
+                context.moveTo(x, y);
+                for (let i = 2; i < item.coords.length; i += 2) {
+                    context.lineTo(item.coords[i], item.coords[i + 1]);
+                }
+                break;
+            case 'text':
+                if (font) context.font = font;
+                context.fillStyle = fill || 'black';
+                context.fillText(item.text, x, y);
+                break;
+            case 'image':
+                this.renderImage(context, item);
+                break;
+        }
+        const isShape = item.shape === 'circle' || item.shape === 'rect';
+        // Shapes are filled when -fill is given; lines are always stroked
+        if (isShape && fill) context.fill();
+        if ((isShape && (stroke || !fill)) || item.shape === 'line' || item.shape === 'polyline') context.stroke();
+        context.restore();
+    }
+
+    renderImage(context, item) {
+        if (typeof Image === 'undefined') return;
+        if (!item.image) {
+            item.image = new Image();
+            item.image.onload = () => this.render();
+            item.image.src = item.src;
+        }
+        if (item.image.complete && item.image.naturalWidth > 0) {
+            context.drawImage(item.image, item.coords[0], item.coords[1]);
+        }
+    }
+}
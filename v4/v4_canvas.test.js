@@ -0,0 +1,52 @@
+import { assertEquals } from "https://deno.land/std@0.224.0/testing/asserts.ts";
+
+import CanvasScene from "./v4_canvas.js";
+
+// A canvas element whose 2D context records the drawing calls it receives
+function fakeCanvas() {
+    const calls = [];
+    const context = new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : (...args) => calls.push([key, ...args]),
+        set: (_target, key, value) => { calls.push([key, value]); return true; },
+    });
+    return { calls, element: { width: 100, height: 50, getContext: () => context } };
+}
+
+Deno.test("Canvas: repaints every item after each draw", () => {
+    const { calls, element } = fakeCanvas();
+    const scene = new CanvasScene("pad", element);
+
+    scene.draw("circle", [10, 20, 5], { "-fill": "red" });
+    assertEquals(calls, [
+        ["clearRect", 0, 0, 100, 50],
+        ["save"],
+        ["lineWidth", 1],
+        ["fillStyle", "red"],
+        ["beginPath"],
+        ["arc", 10, 20, 5, 0, Math.PI * 2],
+        ["fill"],
+        ["restore"],
+    ]);
+
+    calls.length = 0;
+    scene.draw("line", ["0", "0", "30", "40"], { "-stroke": "blue" });
+    assertEquals(calls.filter(([name]) => ["clearRect", "moveTo", "lineTo", "stroke"].includes(name)), [
+        ["clearRect", 0, 0, 100, 50],
+        ["moveTo", 0, 0],
+        ["lineTo", 30, 40],
+        ["stroke"],
+    ]);
+
+    calls.length = 0;
+    scene.draw("clear", [], {});
+    assertEquals(calls, [["clearRect", 0, 0, 100, 50]]);
+});
+
+Deno.test("Canvas: polyline accepts a list of points", () => {
+    const scene = new CanvasScene("pad", {});
+    const id = scene.draw("polyline", [[0, 0, 10, 10, 20, 0]], {});
+    assertEquals(scene.items.get(id).coords, [0, 0, 10, 10, 20, 0]);
+
+    scene.draw("move", [id, 1, 2], {});
+    assertEquals(scene.items.get(id).coords, [1, 2, 11, 12, 21, 2]);
+});
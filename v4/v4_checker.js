@@ -0,0 +1,413 @@
+import Parser from './v4_parser.js';
+import { ARITY, NEEDS_BODY } from './v4_compiler.js';
+import { builtins } from './v4_builtins.js';
+import { WIDGET_OPTIONS, PACK_DEFAULTS, GRID_DEFAULTS, GRID_TRACK_DEFAULTS } from './v4_runtime.js';
+import { TclWebError } from './v4_errors.js';
+
+const WIDGET_TYPES = {
+    l: 'LABEL',
+    label: 'LABEL',
+    b: 'BUTTON',
+    button: 'BUTTON',
+    c: 'CONTAINER',
+    container: 'CONTAINER',
+    i: 'INPUT',
+    input: 'INPUT',
+    listbox: 'LISTBOX',
+    canvas: 'CANVAS',
+};
+
+// Locals that the VM gives each kind of callback
+const CALLBACK_LOCALS = {
+    '.callback': ['response', 'http_response'],
+    '.error': ['error', 'response'],
+};
+
+// Builtins whose first argument (after the subcommand, if any) names a variable they set
+const SETS_VARIABLE = { lappend: 0, dict: 1 };
+
+// Commands whose bodies run later, as callbacks
+const RUNS_LATER = ['bind', 'watch', 'computed'];
+
+/**
+ * Finds mistakes in a parsed program without running it: undefined or
+ * duplicate widgets, unknown commands, wrong argument counts, bad options,
+ * variables that are read but never set and watchers that can never run.
+ * Names built at run time (`set {$name} ...`) cannot be followed, so a
+ * program that creates widgets or sets variables that way is not checked
+ * for the corresponding mistakes.
+ *
+ * Each diagnostic is `{severity, message, loc}`: an `error` fails or is
+ * ignored at run time, a `warning` is probably a mistake.
+ */
+export default class Checker {
+    /**
+     * @param {object} ast A 'Program' node from the Parser.
+     * @returns {Array<{severity: 'error'|'warning', message: string, loc: {line: number, column: number}}>}
+     *     Sorted by location.
+     */
+    check(ast) {
+        this.diagnostics = [];
+        this.procs = new Map(); // name -> params
+        this.procLocals = new Map(); // proc command -> the variables its body sets
+        this.components = new Map(); // name -> params
+        this.widgets = new Map(); // scope (component name, or null) -> Map of name -> {type, loc}
+        this.dynamicWidgets = new Set(); // Scopes that create widgets with computed names
+        this.assigned = new Set(); // Variables set somewhere
+        this.dynamicVars = false;
+        this.reported = new Set(); // Variables already reported as never set
+        this.calls = []; // Commands that may instantiate a component, once all are known
+
+        this.collect(ast.body, null);
+        // Each instance is a container named after it
+        for (const { command, scope } of this.calls) {
+            if (this.components.has(command.name.value)) this.defineWidget(command.args[0], 'CONTAINER', scope, command.loc);
+        }
+        this.checkBody(ast.body, { scope: null, locals: new Set() });
+        return this.diagnostics.sort((a, b) => a.loc.line - b.loc.line || a.loc.column - b.loc.column);
+    }
+
+    report(severity, message, loc) {
+        this.diagnostics.push({ severity, message, loc });
+    }
+
+    // First pass: what the program defines anywhere, so uses may come before
+    // definitions. Inside a proc, `locals` collects the variables it sets.
+    collect(commands, scope, locals = null) {
+        for (const command of commands) {
+            const name = command.name.value;
+            const args = command.args;
+            const bodyScope = name === 'component' ? literal(args[0]) : scope;
+            // Callbacks run in frames of their own, where variables are global
+            let bodyLocals = RUNS_LATER.includes(name) || name.startsWith('http.') ? null : locals;
+            if (name === 'proc') {
+                bodyLocals = new Set();
+                this.procLocals.set(command, bodyLocals);
+            }
+            if (name === 'proc' && literal(args[0]) !== null) {
+                this.procs.set(literal(args[0]), args.slice(1).map(literal));
+            } else if (name === 'component' && bodyScope !== null) {
+                this.components.set(bodyScope, args.slice(1).map(literal));
+            } else if (Object.hasOwn(WIDGET_TYPES, name) && args.length > 0) {
+                this.defineWidget(args[0], WIDGET_TYPES[name], scope, command.loc);
+                if (name === 'i' || name === 'input') this.assignOption(args.slice(1), '-bind');
+            } else if (['set', 'foreach', 'computed', 'persist'].includes(name) && args.length > 0) {
+                this.assign(args[0], name === 'set' || name === 'foreach' ? locals : null);
+            } else if (Object.hasOwn(SETS_VARIABLE, name) && args.length > SETS_VARIABLE[name]) {
+                if (name !== 'dict' || ['set', 'unset'].includes(literal(args[0]))) this.assign(args[SETS_VARIABLE[name]], locals);
+            } else if (!Object.hasOwn(ARITY, name) && args.length > 0) {
+                this.calls.push({ command, scope });
+            }
+            for (const arg of args) this.collectSubstitutions(arg, scope, locals);
+            if (command.body) this.collect(command.body, bodyScope, bodyLocals);
+        }
+    }
+
+    collectSubstitutions(arg, scope, locals) {
+        if (arg.type === 'CommandSubstitution' && arg.command) {
+            this.collect([arg.command], scope, locals);
+        } else if (arg.type === 'InterpolatedString') {
+            arg.parts.forEach(part => this.collectSubstitutions(part, scope, locals));
+        }
+    }
+
+    defineWidget(nameArg, type, scope, loc) {
+        const name = literal(nameArg);
+        if (name === null) {
+            this.dynamicWidgets.add(scope);
+            return;
+        }
+        const [widgetScope, widgetName] = resolve(name, scope);
+        if (!this.widgets.has(widgetScope)) this.widgets.set(widgetScope, new Map());
+        const widgets = this.widgets.get(widgetScope);
+        if (widgets.has(widgetName)) {
+            this.report('warning', `Widget "${name}" is already created at line ${widgets.get(widgetName).loc.line}`, loc);
+        } else {
+            widgets.set(widgetName, { type, loc });
+        }
+    }
+
+    assign(nameArg, locals = null) {
+        const name = literal(nameArg);
+        if (name === null) {
+            this.dynamicVars = true;
+        } else if (locals && !name.startsWith('::')) {
+            locals.add(rootName(name));
+        } else {
+            this.assigned.add(rootName(name));
+        }
+    }
+
+    assignOption(optionArgs, option) {
+        for (let i = 0; i + 1 < optionArgs.length; i += 2) {
+            if (optionArgs[i].value === option) this.assign(optionArgs[i + 1]);
+        }
+    }
+
+    checkBody(commands, context) {
+        for (const command of commands) this.checkCommand(command, context);
+    }
+
+    checkCommand(command, context) {
+        const name = command.name.value;
+        const args = command.args;
+        args.forEach(arg => this.checkArg(arg, context));
+        if (!this.checkArity(command)) return;
+
+        if (Object.hasOwn(WIDGET_TYPES, name)) {
+            if (['i', 'input', 'listbox'].includes(name)) {
+                this.checkWidgetOptions(args[0], args.slice(1), WIDGET_TYPES[name], name === 'listbox' ? [] : ['-bind']);
+            } else if (name === 'canvas') {
+                const first = args.findIndex((arg, i) => i > 0 && arg.type === 'Option');
+                if (first !== -1) this.checkWidgetOptions(args[0], args.slice(first), 'CANVAS');
+            }
+        }
+
+        switch (name) {
+            case 'conf': {
+                const widget = this.checkWidget(args[0], context);
+                if (this.checkPairs(args.slice(1)) && widget) {
+                    this.checkWidgetOptions(args[0], args.slice(1), widget.type);
+                }
+                break;
+            }
+            case 'pack':
+                if (literal(args[0]) === 'forget') {
+                    args.slice(1).forEach(arg => this.checkWidget(arg, context));
+                    break;
+                }
+                this.checkWidget(args[0], context);
+                this.checkOptionNames(args.slice(1), Object.keys(PACK_DEFAULTS), 'pack option');
+                break;
+            case 'grid': {
+                const subcommand = literal(args[0]);
+                if (subcommand === 'columnconfigure' || subcommand === 'rowconfigure') {
+                    if (literal(args[1]) !== '.') this.checkWidget(args[1], context);
+                    this.checkOptionNames(args.slice(3), Object.keys(GRID_TRACK_DEFAULTS), `grid ${subcommand} option`);
+                    break;
+                }
+                this.checkWidget(args[0], context);
+                this.checkOptionNames(args.slice(1), Object.keys(GRID_DEFAULTS), 'grid option');
+                break;
+            }
+            case 'draw':
+            case 'bind':
+            case 'unbind':
+                this.checkWidget(args[0], context);
+                break;
+            case 'destroy':
+                args.forEach(arg => this.checkWidget(arg, context));
+                break;
+            case 'i':
+            case 'input':
+            case 'listbox':
+            case 'persist':
+            case 'http.get':
+            case 'http.post':
+            case 'http.put':
+            case 'http.patch':
+            case 'http.delete':
+                this.checkPairs(args.slice(1));
+                break;
+            case 'watch': {
+                const varName = literal(args[0]);
+                if (varName === null || this.dynamicVars || this.assigned.has(rootName(varName))) break;
+                // A component's parameters are set by each instance
+                const parameters = context.scope === null ? [] : this.components.get(context.scope) || [];
+                if (!parameters.includes(rootName(varName))) {
+                    this.report('warning', `Watcher never runs: "${varName}" is never set`, command.loc);
+                }
+                break;
+            }
+        }
+
+        if (!command.body) return;
+        if (name === 'bind') {
+            // The body lists `.event` handlers, which run with the event as `$event`
+            for (const handler of command.body) {
+                this.checkBody(handler.body || [], { ...context, locals: new Set([...context.locals, 'event']) });
+            }
+        } else if (name.startsWith('http.')) {
+            for (const handler of command.body) {
+                const locals = CALLBACK_LOCALS[handler.name.value] || [];
+                this.checkBody(handler.body || [], { ...context, locals: new Set([...context.locals, ...locals]) });
+            }
+        } else if (name === 'proc') {
+            const locals = new Set([...args.slice(1).map(literal), ...(this.procLocals.get(command) || [])]);
+            this.checkBody(command.body, { scope: context.scope, locals });
+        } else if (name === 'component') {
+            // Parameters are instance variables, set before the body runs
+            const scope = literal(args[0]);
+            this.checkBody(command.body, { scope, locals: new Set(this.components.get(scope) || []) });
+        } else {
+            this.checkBody(command.body, context);
+        }
+    }
+
+    checkArg(arg, context) {
+        if (arg.type === 'VariableSubstitution') {
+            this.checkRead(arg, context);
+        } else if (arg.type === 'InterpolatedString') {
+            arg.parts.forEach(part => this.checkArg(part, context));
+        } else if (arg.type === 'CommandSubstitution' && arg.command) {
+            this.checkCommand(arg.command, context);
+        }
+    }
+
+    checkRead(arg, context) {
+        const name = rootName(arg.name);
+        if (this.dynamicVars || name.includes('::') || context.locals.has(name) || this.assigned.has(name)) return;
+        if (this.reported.has(name)) return;
+        this.reported.add(name);
+        this.report('warning', `Variable "${name}" is read but never set`, arg.loc);
+    }
+
+    /**
+     * Checks a command's argument count against the built-in commands, procs
+     * and components.
+     * @returns {boolean} Whether the command is known and its arguments fit.
+     */
+    checkArity(command) {
+        const name = command.name.value;
+        const args = command.args;
+        if (Object.hasOwn(ARITY, name)) {
+            const [min, max, usage] = ARITY[name];
+            if (args.length < min || args.length > max) {
+                this.report('error', `wrong # args: should be "${`${name} ${usage}`.trim()}"`, command.loc);
+                return false;
+            }
+            if (NEEDS_BODY.includes(name) && !command.body) {
+                this.report('error', `"${name}" needs an indented block`, command.loc);
+                return false;
+            }
+            return true;
+        }
+        if (name === 'else' || Object.hasOwn(builtins, name)) return true;
+        if (this.procs.has(name)) {
+            const params = this.procs.get(name);
+            const variadic = params[params.length - 1] === 'args';
+            const required = variadic ? params.length - 1 : params.length;
+            if (args.length < required || (!variadic && args.length > required)) {
+                this.report('error', `wrong # args: should be "${[name, ...params].join(' ')}"`, command.loc);
+                return false;
+            }
+            return true;
+        }
+        if (this.components.has(name)) return this.checkInstance(command, this.components.get(name));
+        this.report('error', `Unknown command "${name}"`, command.name.loc);
+        return false;
+    }
+
+    checkInstance(command, params) {
+        const name = command.name.value;
+        const [instance, ...optionArgs] = command.args;
+        if (instance === undefined || optionArgs.length % 2 !== 0) {
+            const usage = params.map(param => `?-${param} value?`).join(' ');
+            this.report('error', `wrong # args: should be "${`${name} name ${usage}`.trim()}"`, command.loc);
+            return false;
+        }
+        const known = params.length > 0 ? `must be ${params.map(param => `-${param}`).join(', ')}` : 'it takes no options';
+        for (let i = 0; i < optionArgs.length; i += 2) {
+            const option = literal(optionArgs[i]);
+            if (option !== null && (!option.startsWith('-') || !params.includes(option.slice(1)))) {
+                this.report('error', `Unknown option "${option}" for component "${name}": ${known}`, optionArgs[i].loc);
+            }
+        }
+        return true;
+    }
+
+    // Reports an odd number of `-option value` words; returns whether they pair up
+    checkPairs(optionArgs) {
+        if (optionArgs.length % 2 === 0) return true;
+        const last = optionArgs[optionArgs.length - 1];
+        this.report('error', `Missing value for option "${last.value}"`, last.loc);
+        return false;
+    }
+
+    checkOptionNames(optionArgs, names, what) {
+        if (!this.checkPairs(optionArgs)) return;
+        for (let i = 0; i < optionArgs.length; i += 2) {
+            const option = literal(optionArgs[i]);
+            if (option !== null && !names.includes(option.slice(1))) {
+                this.report('error', `Unknown ${what} "${option}": must be one of ${names.map(n => `-${n}`).join(', ')}`, optionArgs[i].loc);
+            }
+        }
+    }
+
+    checkWidgetOptions(nameArg, optionArgs, type, extra = []) {
+        if (optionArgs.length % 2 !== 0) return; // Reported by checkPairs
+        const known = [...WIDGET_OPTIONS[type], ...extra];
+        for (let i = 0; i < optionArgs.length; i += 2) {
+            const option = literal(optionArgs[i]);
+            if (option !== null && !known.includes(option)) {
+                const widget = literal(nameArg) === null ? type.toLowerCase() : `${type.toLowerCase()} "${literal(nameArg)}"`;
+                this.report('warning', `Unknown option "${option}" for ${widget}: must be one of ${known.join(', ')}`, optionArgs[i].loc);
+            }
+        }
+    }
+
+    /**
+     * Looks up a widget named by a command argument.
+     * @returns {{type: string, loc: object}|null} The widget, or null if it
+     *     is undefined (which is reported) or cannot be known statically.
+     */
+    checkWidget(nameArg, context) {
+        const name = literal(nameArg);
+        if (name === null) return null;
+        const [scope, widgetName] = resolve(name, context.scope);
+        // Names inside another instance (`card1::title`) depend on how it was called
+        if (widgetName.includes('::') || this.dynamicWidgets.has(scope)) return null;
+        const widget = (this.widgets.get(scope) || new Map()).get(widgetName);
+        if (widget) return widget;
+        this.report('error', `Unknown widget "${name}"`, nameArg.loc);
+        return null;
+    }
+}
+
+// The value of a word known before the program runs, or null for substitutions
+function literal(arg) {
+    return arg && Object.hasOwn(arg, 'value') ? String(arg.value) : null;
+}
+
+// The variable a name reads or sets: `::count` and `todo.title` both use the global `count`/`todo`
+function rootName(name) {
+    return name.replace(/^::/, '').split('.')[0];
+}
+
+// Splits a widget name into the scope whose widgets it names and the name within it
+function resolve(name, scope) {
+    return name.startsWith('::') ? [null, name.slice(2)] : [scope, name];
+}
+
+/**
+ * Parses and checks TCL-Web source. A syntax error is returned as the only
+ * diagnostic.
+ * @param {string} source
+ * @returns {Array<{severity: string, message: string, loc: object}>}
+ */
+export function checkSource(source) {
+    let ast;
+    try {
+        ast = new Parser().parse(source);
+    } catch (error) {
+        if (!(error instanceof TclWebError)) throw error;
+        return [{ severity: 'error', message: error.message, loc: error.location || { line: 1, column: 1 } }];
+    }
+    return new Checker().check(ast);
+}
+
+// deno run --allow-read v4_checker.js app.tcl [more.tcl ...]
+if (import.meta.main) {
+    if (Deno.args.length === 0) {
+        console.error('usage: v4_checker.js <source.tcl> [source.tcl ...]');
+        Deno.exit(2);
+    }
+    let errors = 0;
+    for (const input of Deno.args) {
+        for (const { severity, message, loc } of checkSource(Deno.readTextFileSync(input))) {
+            console.log(`${input}:${loc.line}:${loc.column}: ${severity}: ${message}`);
+            if (severity === 'error') errors++;
+        }
+    }
+    Deno.exit(errors > 0 ? 1 : 0);
+}
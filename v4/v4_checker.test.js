@@ -0,0 +1,195 @@
+import { assertEquals } from "https://deno.land/std@0.224.0/testing/asserts.ts";
+
+import { checkSource } from "./v4_checker.js";
+
+// Diagnostics as "line:column severity: message" strings, easier to compare
+function check(code) {
+    return checkSource(code).map(({ severity, message, loc }) => `${loc.line}:${loc.column} ${severity}: ${message}`);
+}
+
+Deno.test("Checker: a correct program has no diagnostics", () => {
+    const code = `
+set todos [list "a" "b"]
+set new_todo ""
+c root
+  l title "Todos"
+  listbox todo_list -items {$todos}
+  i todo_input -bind new_todo
+  b add "Add"
+pack title -side top
+pack todo_list -fill both -expand yes
+grid add -row 0 -column 0
+grid columnconfigure root 0 -weight 1
+proc add_todo text
+  lappend ::todos {$text}
+bind add
+  .click
+    add_todo {$new_todo}
+    conf title -text "Added {$event.type}"
+watch todos
+  conf todo_list -items {$todos}
+http.get "/api"
+  .callback
+    set todos {$http_response}
+  .error
+    conf title -text {$error.message}
+`;
+    assertEquals(check(code), []);
+});
+
+Deno.test("Checker: undefined and duplicate widgets", () => {
+    const code = `
+l title "Hello"
+conf tilte -text "Hi"
+bind buton
+  .click
+    destroy title ghost
+l title "Again"
+pack forget title nope
+`;
+    assertEquals(check(code), [
+        `3:6 error: Unknown widget "tilte"`,
+        `4:6 error: Unknown widget "buton"`,
+        `6:19 error: Unknown widget "ghost"`,
+        `7:1 warning: Widget "title" is already created at line 2`,
+        `8:19 error: Unknown widget "nope"`,
+    ]);
+});
+
+Deno.test("Checker: widgets created with computed names are not checked", () => {
+    const code = `
+set name "greeting"
+l {$name} "Hello"
+conf greeting -text "Hi"
+`;
+    assertEquals(check(code), []);
+});
+
+Deno.test("Checker: unknown commands and wrong argument counts", () => {
+    const code = `
+proc total a b
+  return [expr {$a} + {$b}]
+proc log args
+  return ""
+set x [totl 1 2]
+total 1
+log 1 2 3
+set y
+bind
+  .click
+alert "hi"
+`;
+    assertEquals(check(code), [
+        `6:8 error: Unknown command "totl"`,
+        `7:1 error: wrong # args: should be "total a b"`,
+        `9:1 error: wrong # args: should be "set varName value"`,
+        `10:1 error: wrong # args: should be "bind widget"`,
+        `12:1 error: Unknown command "alert"`,
+    ]);
+});
+
+Deno.test("Checker: options", () => {
+    const code = `
+l title "Hi"
+listbox items -itms {}
+conf title -text "Hello" -bg
+conf title -txt "Hello" -visible true
+pack title -sid top
+grid title -row 0 -colum 1
+grid rowconfigure . 0 -weigth 1
+i field -bind value -placeholder "Name"
+`;
+    assertEquals(check(code), [
+        `3:15 warning: Unknown option "-itms" for listbox "items": must be one of -items, -bg, -fg, -width, -height`,
+        `4:26 error: Missing value for option "-bg"`,
+        `5:12 warning: Unknown option "-txt" for label "title": must be one of -text, -bg, -fg, -width, -height`,
+        `5:25 warning: Unknown option "-visible" for label "title": must be one of -text, -bg, -fg, -width, -height`,
+        `6:12 error: Unknown pack option "-sid": must be one of -side, -fill, -expand, -anchor, -padx, -pady, -ipadx, -ipady`,
+        `7:19 error: Unknown grid option "-colum": must be one of -row, -column, -rowspan, -columnspan, -sticky, -padx, -pady`,
+        `8:23 error: Unknown grid rowconfigure option "-weigth": must be one of -weight, -minsize`,
+        `9:21 warning: Unknown option "-placeholder" for input "field": must be one of -value, -bg, -fg, -width, -height, -bind`,
+    ]);
+});
+
+Deno.test("Checker: variables read but never set and watchers that never run", () => {
+    const code = `
+set count 0
+l shown {$count}
+l other {$cuont}
+proc double n
+  return [expr {$n} * 2]
+watch total
+  conf shown -text {$total}
+watch count
+  conf shown -text [double {$count}]
+computed doubled
+  return [double {$count}]
+watch doubled
+  conf other -text {$doubled}
+`;
+    assertEquals(check(code), [
+        `4:9 warning: Variable "cuont" is read but never set`,
+        `7:1 warning: Watcher never runs: "total" is never set`,
+        `8:20 warning: Variable "total" is read but never set`,
+    ]);
+});
+
+Deno.test("Checker: variables a proc sets are its own", () => {
+    const code = `
+proc tally items
+  set sum 0
+  foreach item {$items}
+    set sum [expr {$sum} + {$item}]
+  set ::last {$sum}
+  return {$sum}
+l shown [tally [list 1 2]]
+conf shown -text {$last}
+conf shown -text {$sum}
+`;
+    assertEquals(check(code), [`10:18 warning: Variable "sum" is read but never set`]);
+});
+
+Deno.test("Checker: components", () => {
+    const code = `
+component card title
+  c body
+    l caption {$title}
+  conf caption -text {$title}
+  conf ::header -bg red
+  conf missing -bg red
+l header "Cards"
+card first -title "One"
+card second -titel "Two"
+card
+conf first -bg blue
+conf first::caption -fg red
+`;
+    assertEquals(check(code), [
+        `7:8 error: Unknown widget "missing"`,
+        `10:13 error: Unknown option "-titel" for component "card": must be -title`,
+        `11:1 error: wrong # args: should be "card name ?-title value?"`,
+    ]);
+});
+
+Deno.test("Checker: watching a component parameter", () => {
+    const code = `
+component field label
+  l caption {$label}
+  watch label
+    conf caption -text {$label}
+  watch hint
+    conf caption -fg grey
+field name -label "Name"
+watch label
+  set seen 1
+`;
+    assertEquals(check(code), [
+        `6:3 warning: Watcher never runs: "hint" is never set`,
+        `9:1 warning: Watcher never runs: "label" is never set`,
+    ]);
+});
+
+Deno.test("Checker: syntax errors are reported as diagnostics", () => {
+    assertEquals(check(`set a "unterminated`).length, 1);
+    assertEquals(checkSource(`set a "unterminated`)[0].severity, "error");
+});
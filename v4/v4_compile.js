@@ -0,0 +1,34 @@
+import Parser from './v4_parser.js';
+import Compiler from './v4_compiler.js';
+import { toJSON, toBinary } from './v4_bytecode_format.js';
+import { TclWebError } from './v4_errors.js';
+
+/**
+ * Compiles TCL-Web source ahead of time into the serialized bytecode
+ * format, so a page only needs the interpreter and `load`.
+ * @param {string} source
+ * @param {{format?: 'binary'|'json'}} [options]
+ * @returns {Uint8Array|string}
+ */
+export function compileSource(source, { format = 'binary' } = {}) {
+    const program = new Compiler().compile(new Parser().parse(source));
+    return format === 'json' ? toJSON(program) : toBinary(program);
+}
+
+// deno run --allow-read --allow-write v4_compile.js app.tcl [out] [--json]
+if (import.meta.main) {
+    const json = Deno.args.includes('--json');
+    const [input, output] = Deno.args.filter(arg => arg !== '--json');
+    if (!input) {
+        console.error('usage: v4_compile.js <source.tcl> [output] [--json]');
+        Deno.exit(2);
+    }
+    const target = output || input.replace(/\.tcl$/, '') + (json ? '.tclw.json' : '.tclw');
+    try {
+        const compiled = compileSource(Deno.readTextFileSync(input), { format: json ? 'json' : 'binary' });
+        if (json) Deno.writeTextFileSync(target, compiled); else Deno.writeFileSync(target, compiled);
+    } catch (error) {
+        console.error(`${input}: ${error instanceof TclWebError ? error.format() : error.message}`);
+        Deno.exit(1);
+    }
+}
@@ -1,114 +1,497 @@
-export const Opcodes = {
-    PUSH_CONST: 0,
-    PUSH_VAR: 1,
-    POP: 2,
-    SET_STATE: 3,
-    BUILD_OBJ: 4,
-    CREATE_WIDGET: 5,
-    UPDATE_WIDGET: 6,
-    PACK_WIDGET: 7,
-    DEF_BLOCK: 8,
-    BIND_WIDGET: 9,
-    WATCH_STATE: 10,
-    DEF_PROC: 11,
-    CALL_PROC: 12,
-    HTTP_GET: 13,
+import ExpressionParser from './v4_expression.js';
+import { builtins } from './v4_builtins.js';
+import { TclWebError } from './v4_errors.js';
+import { Opcodes, OPCODES_VERSION } from './v4_opcodes.js';
+import { optimize, constantKey } from './v4_optimizer.js';
+
+// Defined on their own so the bytecode tools can use them without the compiler
+export { Opcodes, OPCODES_VERSION };
+
+const BINARY_OPCODES = {
+    '+': Opcodes.ADD,
+    '-': Opcodes.SUB,
+    '*': Opcodes.MUL,
+    '/': Opcodes.DIV,
+    '%': Opcodes.MOD,
+    '==': Opcodes.EQ,
+    '!=': Opcodes.NE,
+    '<': Opcodes.LT,
+    '<=': Opcodes.LE,
+    '>': Opcodes.GT,
+    '>=': Opcodes.GE,
+    'eq': Opcodes.STR_EQ,
+    'ne': Opcodes.STR_NE,
+};
+
+const UNARY_OPCODES = {
+    '-': Opcodes.NEG,
+    '!': Opcodes.NOT,
 };
 
+// Argument counts of the built-in commands: [min, max, usage after the command name]
+export const ARITY = {
+    set: [2, 2, 'varName value'],
+    expr: [1, Infinity, 'expression'],
+    if: [1, Infinity, 'condition'],
+    elseif: [1, Infinity, 'condition'],
+    while: [1, Infinity, 'condition'],
+    foreach: [2, 2, 'varName list'],
+    break: [0, 0, ''],
+    continue: [0, 0, ''],
+    return: [0, 1, '?value?'],
+    l: [2, 2, 'name text'],
+    label: [2, 2, 'name text'],
+    b: [2, 2, 'name text'],
+    button: [2, 2, 'name text'],
+    c: [1, 1, 'name'],
+    container: [1, 1, 'name'],
+    i: [1, Infinity, 'name ?-option value ...?'],
+    input: [1, Infinity, 'name ?-option value ...?'],
+    listbox: [1, Infinity, 'name ?-option value ...?'],
+    canvas: [1, Infinity, 'name ?width height? ?-option value ...?'],
+    draw: [2, Infinity, 'canvas subcommand ?arg ...? ?-option value ...?'],
+    pack: [1, Infinity, 'widget ?-option value ...?'],
+    conf: [1, Infinity, 'widget ?-option value ...?'],
+    grid: [1, Infinity, 'widget ?-option value ...?'],
+    destroy: [1, Infinity, 'widget ?widget ...?'],
+    bind: [1, 1, 'widget'],
+    unbind: [1, Infinity, 'widget ?.event ...?'],
+    watch: [1, 1, 'varName'],
+    unwatch: [1, 1, 'varName'],
+    computed: [1, 1, 'varName'],
+    persist: [1, 5, 'varName ?-key name? ?-storage local|session?'],
+    proc: [1, Infinity, 'name ?arg ...?'],
+    component: [1, Infinity, 'name ?param ...?'],
+    'http.get': [1, Infinity, 'url ?-option value ...?'],
+    'http.post': [1, Infinity, 'url ?-option value ...?'],
+    'http.put': [1, Infinity, 'url ?-option value ...?'],
+    'http.patch': [1, Infinity, 'url ?-option value ...?'],
+    'http.delete': [1, Infinity, 'url ?-option value ...?'],
+};
+
+// Commands whose indented block is required
+export const NEEDS_BODY = ['bind', 'watch', 'computed', 'proc', 'component'];
+
 export default class Compiler {
-    constructor() {
+    /**
+     * @param {{optimize?: Object<string, boolean>}} [options] `optimize` turns
+     *     individual passes of v4_optimizer.js off, e.g. `{fold: false}`.
+     */
+    constructor(options = {}) {
+        this.options = options;
         this.bytecode = [];
         this.constants = [];
+        this.constantIndices = new Map(); // constantKey -> index, so equal constants are stored once
+        this.locations = []; // Source location of each instruction, parallel to bytecode
+        this.currentLoc = null; // Location of the command being compiled
+        this.loops = []; // Innermost loop last; tracks break/continue targets
+        this.containerDepth = 0; // `c` bodies being compiled, innermost last
     }
 
     compile(programNode) {
-        for (const command of programNode.body) {
-            this.compileCommand(command);
+        this.compileBody(programNode.body);
+        const program = { bytecode: this.bytecode, constants: this.constants, locations: this.locations };
+        return optimize(program, this.options.optimize);
+    }
+
+    /**
+     * Creates a compile error, by default at the command being compiled.
+     * @param {string} message
+     * @param {{line: number, column: number}} [loc]
+     * @returns {TclWebError}
+     */
+    error(message, loc = this.currentLoc) {
+        return new TclWebError('COMPILE_ERROR', message, loc);
+    }
+
+    compileBody(commands) {
+        for (let i = 0; i < commands.length; i++) {
+            const command = commands[i];
+            if (command.name.value !== 'if') {
+                this.compileCommand(command);
+                continue;
+            }
+            // `elseif` and `else` are sibling commands that belong to the preceding `if`
+            const branches = [command];
+            while (i + 1 < commands.length && ['elseif', 'else'].includes(commands[i + 1].name.value)) {
+                branches.push(commands[++i]);
+                if (branches[branches.length - 1].name.value === 'else') break;
+            }
+            this.compileIf(branches);
         }
-        return { bytecode: this.bytecode, constants: this.constants };
     }
 
     emit(opcode, ...operands) {
         this.bytecode.push([opcode, ...operands]);
+        this.locations.push(this.currentLoc);
+        return this.bytecode.length - 1;
+    }
+
+    patchJump(instructionIndex, target = this.bytecode.length) {
+        this.bytecode[instructionIndex][1] = target;
     }
 
     addConstant(value) {
-        const index = this.constants.indexOf(value);
-        if (index > -1) {
-            return index;
+        const key = constantKey(value);
+        if (!this.constantIndices.has(key)) {
+            this.constantIndices.set(key, this.constants.length);
+            this.constants.push(value);
         }
-        this.constants.push(value);
-        return this.constants.length - 1;
+        return this.constantIndices.get(key);
     }
 
     compileArg(argNode) {
         if (argNode.type === 'VariableSubstitution') {
             const constIndex = this.addConstant(argNode.name);
             this.emit(Opcodes.PUSH_VAR, constIndex);
+        } else if (argNode.type === 'InterpolatedString') {
+            for (const part of argNode.parts) {
+                this.compileArg(part);
+            }
+            this.emit(Opcodes.CONCAT, argNode.parts.length);
+        } else if (argNode.type === 'CommandSubstitution') {
+            if (argNode.command) {
+                this.compileCommand(argNode.command, true);
+            } else {
+                this.emit(Opcodes.PUSH_CONST, this.addConstant(''));
+            }
         } else {
             const constIndex = this.addConstant(argNode.value);
             this.emit(Opcodes.PUSH_CONST, constIndex);
         }
     }
 
+    compileOptions(optionArgs, extraKeys = 0) {
+        if (optionArgs.length % 2 !== 0) {
+            const last = optionArgs[optionArgs.length - 1];
+            throw this.error(`Missing value for option "${last.value}"`, last.loc);
+        }
+        for (let i = 0; i < optionArgs.length; i += 2) {
+            this.compileArg(optionArgs[i + 1]); // value
+            this.compileArg(optionArgs[i]);   // key
+        }
+        this.emit(Opcodes.BUILD_OBJ, optionArgs.length / 2 + extraKeys);
+    }
+
+    // Splits `x y -fill red` into positional args and option pairs
+    splitPositional(args) {
+        const first = args.findIndex(arg => arg.type === 'Option');
+        return first === -1 ? [args, []] : [args.slice(0, first), args.slice(first)];
+    }
+
+    compileExpression(exprNode) {
+        switch (exprNode.type) {
+            case 'Literal':
+                this.emit(Opcodes.PUSH_CONST, this.addConstant(exprNode.value));
+                break;
+            case 'Operand':
+                this.compileArg(exprNode.arg);
+                break;
+            case 'Unary':
+                this.compileExpression(exprNode.operand);
+                this.emit(UNARY_OPCODES[exprNode.operator]);
+                break;
+            case 'Binary':
+                if (exprNode.operator === '&&' || exprNode.operator === '||') {
+                    this.compileLogical(exprNode);
+                    break;
+                }
+                this.compileExpression(exprNode.left);
+                this.compileExpression(exprNode.right);
+                this.emit(BINARY_OPCODES[exprNode.operator]);
+                break;
+        }
+    }
+
+    // `&&` and `||` short-circuit: the right side only runs when the left
+    // does not decide the result. Either way a boolean is pushed.
+    compileLogical({ operator, left, right }) {
+        this.compileExpression(left);
+        const leftFalse = this.emit(Opcodes.JUMP_IF_FALSE, -1);
+        if (operator === '||') {
+            this.emit(Opcodes.PUSH_CONST, this.addConstant(true));
+            const end = this.emit(Opcodes.JUMP, -1);
+            this.patchJump(leftFalse);
+            this.compileBoolean(right);
+            this.patchJump(end);
+        } else {
+            this.compileBoolean(right);
+            const end = this.emit(Opcodes.JUMP, -1);
+            this.patchJump(leftFalse);
+            this.emit(Opcodes.PUSH_CONST, this.addConstant(false));
+            this.patchJump(end);
+        }
+    }
+
+    compileBoolean(exprNode) {
+        this.compileExpression(exprNode);
+        this.emit(Opcodes.NOT);
+        this.emit(Opcodes.NOT);
+    }
+
+    compileCondition(command) {
+        this.compileExpression(this.parseExpression(command.args));
+    }
+
+    parseExpression(args) {
+        try {
+            return new ExpressionParser().parse(args);
+        } catch (error) {
+            throw this.error(error.message, error.loc);
+        }
+    }
+
+    compileIf(branches) {
+        const endJumps = [];
+        for (let i = 0; i < branches.length; i++) {
+            const branch = branches[i];
+            const isLast = i === branches.length - 1;
+            this.currentLoc = branch.loc;
+            if (branch.name.value === 'else') {
+                if (branch.args.length > 0) throw this.error('"else" does not take a condition; use "elseif"');
+                this.compileBody(branch.body || []);
+                break;
+            }
+            this.checkArity(branch);
+            this.compileCondition(branch);
+            const skipJump = this.emit(Opcodes.JUMP_IF_FALSE, -1);
+            this.compileBody(branch.body || []);
+            if (!isLast) endJumps.push(this.emit(Opcodes.JUMP, -1));
+            this.patchJump(skipJump);
+        }
+        endJumps.forEach(jump => this.patchJump(jump));
+    }
+
+    compileLoopBody(command, continueTarget) {
+        const loop = { continueTarget, breakJumps: [], containerDepth: this.containerDepth };
+        this.loops.push(loop);
+        this.compileBody(command.body || []);
+        this.loops.pop();
+        this.emit(Opcodes.JUMP, continueTarget);
+        return loop;
+    }
+
     compileBlock(commandNode) {
-        const blockCompiler = new Compiler();
+        if (!commandNode.body) throw this.error(`"${commandNode.name.value}" needs an indented block`, commandNode.loc);
+        const blockCompiler = new Compiler(this.options);
         // A block is just a list of commands, so we treat its body as a mini-program
         const programNode = { type: 'Program', body: commandNode.body };
         const blockResult = blockCompiler.compile(programNode);
         return this.addConstant(blockResult);
     }
 
-    compileCommand(command) {
+    /**
+     * Compiles a single command. Commands that produce a value (procedure
+     * and builtin calls, `set`, `expr`) leave it on the stack when `wantResult` is true, as is
+     * needed for `[cmd ...]` substitutions; all others push an empty string
+     * in that position so every substitution yields exactly one value.
+     */
+    compileCommand(command, wantResult = false) {
         const name = command.name.value;
         const args = command.args;
+        let hasResult = false;
+        const outerLoc = this.currentLoc;
+        this.currentLoc = command.loc;
+        this.checkArity(command);
 
         switch (name) {
             case 'set':
                 this.compileArg(args[1]); // value
+                if (wantResult) {
+                    this.emit(Opcodes.DUP);
+                    hasResult = true;
+                }
                 this.compileArg(args[0]); // name
                 this.emit(Opcodes.SET_STATE);
                 break;
 
+            case 'expr':
+                this.compileExpression(this.parseExpression(args));
+                hasResult = true;
+                break;
+
+            case 'if':
+                this.compileIf([command]);
+                break;
+
+            case 'elseif':
+            case 'else':
+                throw this.error(`"${name}" without a preceding "if"`);
+
+            case 'while': {
+                const loopStart = this.bytecode.length;
+                this.compileCondition(command);
+                const exitJump = this.emit(Opcodes.JUMP_IF_FALSE, -1);
+                const loop = this.compileLoopBody(command, loopStart);
+                this.patchJump(exitJump);
+                loop.breakJumps.forEach(jump => this.patchJump(jump));
+                break;
+            }
+
+            case 'foreach': {
+                this.compileArg(args[1]); // list
+                this.emit(Opcodes.ITER_START);
+                const loopStart = this.emit(Opcodes.ITER_NEXT, -1);
+                this.compileArg(args[0]); // loop variable
+                this.emit(Opcodes.SET_STATE);
+                const loop = this.compileLoopBody(command, loopStart);
+                this.patchJump(loopStart);
+                loop.breakJumps.forEach(jump => this.patchJump(jump));
+                this.emit(Opcodes.POP); // the exhausted iterator
+                break;
+            }
+
+            case 'break':
+            case 'continue': {
+                const loop = this.loops[this.loops.length - 1];
+                if (!loop) throw this.error(`"${name}" used outside of a loop`);
+                // Leave the `c` bodies entered inside the loop, as the jump skips their ends
+                for (let depth = this.containerDepth; depth > loop.containerDepth; depth--) {
+                    this.emit(Opcodes.EXIT_CONTAINER);
+                }
+                if (name === 'break') {
+                    loop.breakJumps.push(this.emit(Opcodes.JUMP, -1));
+                } else {
+                    this.emit(Opcodes.JUMP, loop.continueTarget);
+                }
+                break;
+            }
+
+            case 'return':
+                if (args.length > 0) {
+                    this.compileArg(args[0]);
+                } else {
+                    this.emit(Opcodes.PUSH_CONST, this.addConstant(''));
+                }
+                this.emit(Opcodes.RETURN);
+                break;
+
             case 'l':
             case 'label':
             case 'b':
             case 'button': {
-                const options = name.startsWith('l') ? { initialText: args[1].value } : { label: args[1].value };
+                const key = name.startsWith('l') ? 'initialText' : 'label';
                 const type = name.startsWith('l') ? 'LABEL' : 'BUTTON';
-                this.emit(Opcodes.PUSH_CONST, this.addConstant(options));
+                if (Object.hasOwn(args[1], 'value')) {
+                    this.emit(Opcodes.PUSH_CONST, this.addConstant({ [key]: args[1].value }));
+                } else {
+                    // Text with substitutions, e.g. a component parameter
+                    this.compileArg(args[1]);
+                    this.emit(Opcodes.PUSH_CONST, this.addConstant(key));
+                    this.emit(Opcodes.BUILD_OBJ, 1);
+                }
                 this.emit(Opcodes.PUSH_CONST, this.addConstant(type));
                 this.compileArg(args[0]); // widget name
                 this.emit(Opcodes.CREATE_WIDGET);
                 break;
             }
             
+            case 'c':
+            case 'container':
+                this.emit(Opcodes.PUSH_CONST, this.addConstant({}));
+                this.emit(Opcodes.PUSH_CONST, this.addConstant('CONTAINER'));
+                this.compileArg(args[0]);
+                this.emit(Opcodes.CREATE_WIDGET);
+                if (command.body) {
+                    // Widgets created in the indented body become children of this container
+                    this.compileArg(args[0]);
+                    this.emit(Opcodes.ENTER_CONTAINER);
+                    this.containerDepth++;
+                    this.compileBody(command.body);
+                    this.containerDepth--;
+                    this.emit(Opcodes.EXIT_CONTAINER);
+                }
+                break;
+
             case 'i':
             case 'input':
             case 'listbox':
-            case 'canvas':
-                 // Simplified: these would have more complex option handling in a real scenario
-                this.emit(Opcodes.PUSH_CONST, this.addConstant({}));
-                this.emit(Opcodes.PUSH_CONST, this.addConstant(name.toUpperCase()));
+                // Trailing `-option value` pairs (e.g. `-bind var`) are applied on creation
+                this.compileOptions(args.slice(1));
+                this.emit(Opcodes.PUSH_CONST, this.addConstant(name === 'listbox' ? 'LISTBOX' : 'INPUT'));
+                this.compileArg(args[0]);
+                this.emit(Opcodes.CREATE_WIDGET);
+                break;
+
+            case 'canvas': {
+                // canvas <name> ?width height? ?-option value ...?
+                const [size, optionArgs] = this.splitPositional(args.slice(1));
+                ['width', 'height'].slice(0, size.length).forEach((key, i) => {
+                    this.compileArg(size[i]);
+                    this.emit(Opcodes.PUSH_CONST, this.addConstant(key));
+                });
+                this.compileOptions(optionArgs, Math.min(size.length, 2));
+                this.emit(Opcodes.PUSH_CONST, this.addConstant('CANVAS'));
                 this.compileArg(args[0]);
                 this.emit(Opcodes.CREATE_WIDGET);
                 break;
+            }
+
+            case 'draw': {
+                // draw <canvas> <subcommand> ?arg ...? ?-option value ...?
+                const [positional, optionArgs] = this.splitPositional(args.slice(2));
+                positional.forEach(arg => this.compileArg(arg));
+                this.compileOptions(optionArgs);
+                this.compileArg(args[1]);
+                this.compileArg(args[0]);
+                this.emit(Opcodes.DRAW, positional.length);
+                hasResult = true;
+                break;
+            }
 
-            case 'conf':
-            case 'pack': {
-                const options = args.slice(1);
-                for (let i = 0; i < options.length; i += 2) {
-                    this.compileArg(options[i + 1]); // value
-                    this.compileArg(options[i]);   // key
+            case 'pack':
+                if (args[0] && args[0].value === 'forget') {
+                    for (const widgetArg of args.slice(1)) {
+                        this.compileArg(widgetArg);
+                        this.emit(Opcodes.UNPACK_WIDGET);
+                    }
+                    break;
                 }
-                this.emit(Opcodes.BUILD_OBJ, options.length / 2);
+                // fallthrough
+            case 'conf': {
+                this.compileOptions(args.slice(1));
                 this.compileArg(args[0]); // widget name
                 this.emit(name === 'conf' ? Opcodes.UPDATE_WIDGET : Opcodes.PACK_WIDGET);
                 break;
             }
 
+            case 'grid': {
+                const subcommand = args[0] && args[0].value;
+                if (subcommand === 'columnconfigure' || subcommand === 'rowconfigure') {
+                    if (args.length < 3) {
+                        throw this.error(`wrong # args: should be "grid ${subcommand} parent index ?-option value ...?"`);
+                    }
+                    this.compileOptions(args.slice(3));
+                    this.compileArg(args[2]); // row or column index
+                    this.compileArg(args[1]); // parent container
+                    this.emit(Opcodes.PUSH_CONST, this.addConstant(subcommand === 'columnconfigure' ? 'column' : 'row'));
+                    this.emit(Opcodes.GRID_CONFIGURE);
+                    break;
+                }
+                this.compileOptions(args.slice(1));
+                this.compileArg(args[0]); // widget name
+                this.emit(Opcodes.GRID_WIDGET);
+                break;
+            }
+
+            case 'persist':
+                this.compileOptions(args.slice(1));
+                this.compileArg(args[0]); // variable name
+                this.emit(Opcodes.PERSIST_STATE);
+                break;
+
+            case 'destroy':
+                for (const widgetArg of args) {
+                    this.compileArg(widgetArg);
+                    this.emit(Opcodes.DESTROY_WIDGET);
+                }
+                break;
+
             case 'bind': {
                 for (const eventCmd of command.body) {
+                    if (!String(eventCmd.name.value).startsWith('.')) {
+                        throw this.error(`Bad event "${eventCmd.name.value}": must start with "."`, eventCmd.loc);
+                    }
                     const blockConstIndex = this.compileBlock(eventCmd);
                     this.emit(Opcodes.DEF_BLOCK, blockConstIndex);
                     this.compileArg(eventCmd.name);
@@ -118,6 +501,24 @@ export default class Compiler {
                 break;
             }
 
+            case 'unbind': {
+                // unbind <widget> ?.event ...?  (no events: all of them)
+                for (const eventArg of args.slice(1)) {
+                    if (!String(eventArg.value).startsWith('.')) {
+                        throw this.error(`Bad event "${eventArg.value}": must start with "."`, eventArg.loc);
+                    }
+                    this.compileArg(eventArg);
+                }
+                this.compileArg(args[0]); // widget name
+                this.emit(Opcodes.UNBIND_WIDGET, args.length - 1);
+                break;
+            }
+
+            case 'unwatch':
+                this.compileArg(args[0]); // variable name
+                this.emit(Opcodes.UNWATCH_STATE);
+                break;
+
             case 'watch': {
                 const blockConstIndex = this.compileBlock(command);
                 this.emit(Opcodes.DEF_BLOCK, blockConstIndex);
@@ -126,6 +527,15 @@ export default class Compiler {
                 break;
             }
 
+            case 'computed': {
+                // The block's `return` value becomes the variable's value
+                const blockConstIndex = this.compileBlock(command);
+                this.emit(Opcodes.DEF_BLOCK, blockConstIndex);
+                this.compileArg(args[0]); // variable name
+                this.emit(Opcodes.DEF_COMPUTED);
+                break;
+            }
+
             case 'proc': {
                 const blockConstIndex = this.compileBlock(command);
                 this.emit(Opcodes.DEF_BLOCK, blockConstIndex);
@@ -137,25 +547,76 @@ export default class Compiler {
                 break;
             }
 
-            case 'http.get': {
-                 for (const callbackCmd of command.body) {
+            case 'component': {
+                // Instances are created by calling the component like a proc: `name instance ?-param value ...?`
+                const blockConstIndex = this.compileBlock(command);
+                this.emit(Opcodes.DEF_BLOCK, blockConstIndex);
+                for (let i = 1; i < args.length; i++) {
+                    this.compileArg(args[i]);
+                }
+                this.compileArg(args[0]); // component name
+                this.emit(Opcodes.DEF_COMPONENT, args.length - 1);
+                break;
+            }
+
+            case 'http.get':
+            case 'http.post':
+            case 'http.put':
+            case 'http.patch':
+            case 'http.delete': {
+                for (const callbackCmd of command.body || []) {
+                    const callbackName = callbackCmd.name.value;
+                    if (callbackName !== '.callback' && callbackName !== '.error') {
+                        throw this.error(`Unknown ${name} handler "${callbackName}": must be .callback or .error`, callbackCmd.loc);
+                    }
                     const blockConstIndex = this.compileBlock(callbackCmd);
                     this.emit(Opcodes.DEF_BLOCK, blockConstIndex);
                     this.compileArg(callbackCmd.name);
                 }
+                this.compileOptions(args.slice(1));
                 this.compileArg(args[0]); // url
-                this.emit(Opcodes.HTTP_GET, command.body.length);
+                this.emit(Opcodes.PUSH_CONST, this.addConstant(name.slice('http.'.length).toUpperCase()));
+                this.emit(Opcodes.HTTP_REQUEST, (command.body || []).length);
                 break;
             }
 
             default:
+                if (Object.hasOwn(builtins, name)) {
+                    for (const arg of args) {
+                        this.compileArg(arg);
+                    }
+                    this.emit(Opcodes.PUSH_CONST, this.addConstant(name));
+                    this.emit(Opcodes.CALL_BUILTIN, args.length);
+                    hasResult = true;
+                    break;
+                }
                 // Handle general procedure calls
                 for (const arg of args) {
                     this.compileArg(arg);
                 }
                 this.emit(Opcodes.PUSH_CONST, this.addConstant(name));
                 this.emit(Opcodes.CALL_PROC, args.length);
+                hasResult = true;
                 break;
         }
+
+        if (hasResult && !wantResult) {
+            this.emit(Opcodes.POP);
+        } else if (!hasResult && wantResult) {
+            this.emit(Opcodes.PUSH_CONST, this.addConstant(''));
+        }
+        this.currentLoc = outerLoc;
+    }
+
+    checkArity(command) {
+        const name = command.name.value;
+        if (!Object.hasOwn(ARITY, name)) return;
+        const [min, max, usage] = ARITY[name];
+        if (command.args.length < min || command.args.length > max) {
+            throw this.error(`wrong # args: should be "${`${name} ${usage}`.trim()}"`);
+        }
+        if (NEEDS_BODY.includes(name) && !command.body) {
+            throw this.error(`"${name}" needs an indented block`);
+        }
     }
 }
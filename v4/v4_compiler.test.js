@@ -1,13 +1,18 @@
 import {
   assertEquals,
+  assertThrows,
 } from "https://deno.land/std@0.224.0/testing/asserts.ts";
 import Parser from "./v4_parser.js";
 import Compiler, { Opcodes } from "./v4_compiler.js";
+import { TclWebError } from "./v4_errors.js";
+
+// Code generation as written, before v4_optimizer.js rewrites it
+const UNOPTIMIZED = { optimize: { fold: false, deadCode: false, peephole: false } };
 
 // Helper function to quickly parse and compile
-function parseAndCompile(code) {
+function parseAndCompile(code, options = {}) {
     const parser = new Parser();
-    const compiler = new Compiler();
+    const compiler = new Compiler(options);
     const ast = parser.parse(code);
     return compiler.compile(ast);
 }
@@ -27,8 +32,16 @@ Deno.test("Compiler Unit: 'set' command", () => {
     assertEquals(bytecode, expectedBytecode);
 });
 
+Deno.test("Compiler Unit: typed constants stay distinct from strings", () => {
+    const { bytecode, constants } = parseAndCompile(`set a 1\nset b "1"\nset c true`);
+
+    assertEquals(constants.filter(c => c === 1 || c === "1" || c === true), [1, "1", true]);
+    assertEquals(bytecode[0], [Opcodes.PUSH_CONST, constants.indexOf(1)]);
+    assertEquals(bytecode[3], [Opcodes.PUSH_CONST, constants.indexOf("1")]);
+});
+
 Deno.test("Compiler Unit: 'conf' command with BUILD_OBJ", () => {
-    const { bytecode, constants } = parseAndCompile(`conf my_widget -text "hi" -bg "blue"`);
+    const { bytecode, constants } = parseAndCompile(`conf my_widget -text "hi" -bg "blue"`, UNOPTIMIZED);
     
     const expectedBytecode = [
         [Opcodes.PUSH_CONST, constants.indexOf("hi")],
@@ -59,6 +72,308 @@ Deno.test("Compiler Unit: 'watch' command with DEF_BLOCK", () => {
     assertEquals(bytecode, expectedBytecode);
 });
 
+Deno.test("Compiler Unit: command substitution", () => {
+    const { bytecode, constants } = parseAndCompile(`set a [set b [greet "x"]]`);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.indexOf("x")],
+        [Opcodes.PUSH_CONST, constants.indexOf("greet")],
+        [Opcodes.CALL_PROC, 1],
+        [Opcodes.DUP],
+        [Opcodes.PUSH_CONST, constants.indexOf("b")],
+        [Opcodes.SET_STATE],
+        [Opcodes.PUSH_CONST, constants.indexOf("a")],
+        [Opcodes.SET_STATE],
+    ]);
+});
+
+Deno.test("Compiler Unit: substitution of a command without a value", () => {
+    const { bytecode, constants } = parseAndCompile(`set a [conf w -bg "red"]`);
+
+    assertEquals(bytecode.slice(-4), [
+        [Opcodes.UPDATE_WIDGET],
+        [Opcodes.PUSH_CONST, constants.indexOf("")],
+        [Opcodes.PUSH_CONST, constants.indexOf("a")],
+        [Opcodes.SET_STATE],
+    ]);
+});
+
+Deno.test("Compiler Unit: 'expr' command", () => {
+    const { bytecode, constants } = parseAndCompile(`set count [expr {$count} + 1 * 2]`);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_VAR, constants.indexOf("count")],
+        [Opcodes.PUSH_CONST, constants.indexOf(1)],
+        [Opcodes.PUSH_CONST, constants.indexOf(2)],
+        [Opcodes.MUL],
+        [Opcodes.ADD],
+        [Opcodes.PUSH_CONST, constants.indexOf("count")],
+        [Opcodes.SET_STATE],
+    ]);
+});
+
+Deno.test("Compiler Unit: 'if'/'elseif'/'else' with jumps", () => {
+    const { bytecode, constants } = parseAndCompile(`
+if {$n} > 1
+  set size "big"
+elseif {$n} == 1
+  set size "one"
+else
+  set size "none"
+`);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_VAR, constants.indexOf("n")],
+        [Opcodes.PUSH_CONST, constants.indexOf(1)],
+        [Opcodes.GT],
+        [Opcodes.JUMP_IF_FALSE, 8],
+        [Opcodes.PUSH_CONST, constants.indexOf("big")],
+        [Opcodes.PUSH_CONST, constants.indexOf("size")],
+        [Opcodes.SET_STATE],
+        [Opcodes.JUMP, 19],
+        [Opcodes.PUSH_VAR, constants.indexOf("n")],
+        [Opcodes.PUSH_CONST, constants.indexOf(1)],
+        [Opcodes.EQ],
+        [Opcodes.JUMP_IF_FALSE, 16],
+        [Opcodes.PUSH_CONST, constants.indexOf("one")],
+        [Opcodes.PUSH_CONST, constants.indexOf("size")],
+        [Opcodes.SET_STATE],
+        [Opcodes.JUMP, 19],
+        [Opcodes.PUSH_CONST, constants.indexOf("none")],
+        [Opcodes.PUSH_CONST, constants.indexOf("size")],
+        [Opcodes.SET_STATE],
+    ]);
+});
+
+Deno.test("Compiler Unit: 'while' loop with break and continue", () => {
+    const { bytecode } = parseAndCompile(`
+while true
+  continue
+  break
+`, UNOPTIMIZED);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, 0],
+        [Opcodes.JUMP_IF_FALSE, 5],
+        [Opcodes.JUMP, 0], // continue
+        [Opcodes.JUMP, 5], // break
+        [Opcodes.JUMP, 0], // loop back
+    ]);
+});
+
+Deno.test("Compiler Unit: 'foreach' loop", () => {
+    const { bytecode, constants } = parseAndCompile(`
+foreach item {$items}
+  set last {$item}
+`);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_VAR, constants.indexOf("items")],
+        [Opcodes.ITER_START],
+        [Opcodes.ITER_NEXT, 9],
+        [Opcodes.PUSH_CONST, constants.indexOf("item")],
+        [Opcodes.SET_STATE],
+        [Opcodes.PUSH_VAR, constants.indexOf("item")],
+        [Opcodes.PUSH_CONST, constants.indexOf("last")],
+        [Opcodes.SET_STATE],
+        [Opcodes.JUMP, 2],
+        [Opcodes.POP],
+    ]);
+});
+
+Deno.test("Compiler Unit: control flow errors", () => {
+    assertThrows(() => parseAndCompile(`break`), Error, "outside of a loop");
+    assertThrows(() => parseAndCompile(`else\n  set a 1`), Error, "without a preceding");
+    assertThrows(() => parseAndCompile(`while true\n  bind b\n    .click\n      break`), Error, "outside of a loop");
+});
+
+Deno.test("Compiler Unit: interpolated string with CONCAT", () => {
+    const { bytecode, constants } = parseAndCompile(`conf greeting -text "Hi {$name}!"`);
+
+    assertEquals(bytecode.slice(0, 4), [
+        [Opcodes.PUSH_CONST, constants.indexOf("Hi ")],
+        [Opcodes.PUSH_VAR, constants.indexOf("name")],
+        [Opcodes.PUSH_CONST, constants.indexOf("!")],
+        [Opcodes.CONCAT, 3],
+    ]);
+});
+
+Deno.test("Compiler Unit: container body between ENTER/EXIT_CONTAINER", () => {
+    const { bytecode, constants } = parseAndCompile(`c root\n  l title "Title"`);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.findIndex(c => typeof c === "object" && Object.keys(c).length === 0)],
+        [Opcodes.PUSH_CONST, constants.indexOf("CONTAINER")],
+        [Opcodes.PUSH_CONST, constants.indexOf("root")],
+        [Opcodes.CREATE_WIDGET],
+        [Opcodes.PUSH_CONST, constants.indexOf("root")],
+        [Opcodes.ENTER_CONTAINER],
+        [Opcodes.PUSH_CONST, constants.findIndex(c => c && c.initialText === "Title")],
+        [Opcodes.PUSH_CONST, constants.indexOf("LABEL")],
+        [Opcodes.PUSH_CONST, constants.indexOf("title")],
+        [Opcodes.CREATE_WIDGET],
+        [Opcodes.EXIT_CONTAINER],
+    ]);
+});
+
+Deno.test("Compiler Unit: input options", () => {
+    const { bytecode, constants } = parseAndCompile(`i todo_input -bind new_todo_text`, UNOPTIMIZED);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.indexOf("new_todo_text")],
+        [Opcodes.PUSH_CONST, constants.indexOf("-bind")],
+        [Opcodes.BUILD_OBJ, 1],
+        [Opcodes.PUSH_CONST, constants.indexOf("INPUT")],
+        [Opcodes.PUSH_CONST, constants.indexOf("todo_input")],
+        [Opcodes.CREATE_WIDGET],
+    ]);
+});
+
+Deno.test("Compiler Unit: 'grid' placement and track configuration", () => {
+    const { bytecode, constants } = parseAndCompile(`grid name -row 0 -column 1 -sticky ew\ngrid columnconfigure form 1 -weight 2`, UNOPTIMIZED);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.indexOf(0)],
+        [Opcodes.PUSH_CONST, constants.indexOf("-row")],
+        [Opcodes.PUSH_CONST, constants.indexOf(1)],
+        [Opcodes.PUSH_CONST, constants.indexOf("-column")],
+        [Opcodes.PUSH_CONST, constants.indexOf("ew")],
+        [Opcodes.PUSH_CONST, constants.indexOf("-sticky")],
+        [Opcodes.BUILD_OBJ, 3],
+        [Opcodes.PUSH_CONST, constants.indexOf("name")],
+        [Opcodes.GRID_WIDGET],
+        [Opcodes.PUSH_CONST, constants.indexOf(2)],
+        [Opcodes.PUSH_CONST, constants.indexOf("-weight")],
+        [Opcodes.BUILD_OBJ, 1],
+        [Opcodes.PUSH_CONST, constants.indexOf(1)],
+        [Opcodes.PUSH_CONST, constants.indexOf("form")],
+        [Opcodes.PUSH_CONST, constants.indexOf("column")],
+        [Opcodes.GRID_CONFIGURE],
+    ]);
+});
+
+Deno.test("Compiler Unit: 'canvas' size and 'draw' arguments", () => {
+    const { bytecode, constants } = parseAndCompile(`canvas pad 400 300 -bg white\ndraw pad move 1 -5 0`, UNOPTIMIZED);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.indexOf(400)],
+        [Opcodes.PUSH_CONST, constants.indexOf("width")],
+        [Opcodes.PUSH_CONST, constants.indexOf(300)],
+        [Opcodes.PUSH_CONST, constants.indexOf("height")],
+        [Opcodes.PUSH_CONST, constants.indexOf("white")],
+        [Opcodes.PUSH_CONST, constants.indexOf("-bg")],
+        [Opcodes.BUILD_OBJ, 3],
+        [Opcodes.PUSH_CONST, constants.indexOf("CANVAS")],
+        [Opcodes.PUSH_CONST, constants.indexOf("pad")],
+        [Opcodes.CREATE_WIDGET],
+        // A negative number is a positional argument, not an option
+        [Opcodes.PUSH_CONST, constants.indexOf(1)],
+        [Opcodes.PUSH_CONST, constants.indexOf(-5)],
+        [Opcodes.PUSH_CONST, constants.indexOf(0)],
+        [Opcodes.BUILD_OBJ, 0],
+        [Opcodes.PUSH_CONST, constants.indexOf("move")],
+        [Opcodes.PUSH_CONST, constants.indexOf("pad")],
+        [Opcodes.DRAW, 3],
+        [Opcodes.POP],
+    ]);
+});
+
+Deno.test("Compiler Unit: http handlers must be .callback or .error", () => {
+    assertThrows(
+        () => parseAndCompile(`http.post "/items"\n  .done\n    set x 1`),
+        Error,
+        'Unknown http.post handler ".done"',
+    );
+});
+
+Deno.test("Compiler Unit: handlers need a body and bind events start with a dot", () => {
+    const noBody = assertThrows(() => parseAndCompile(`bind ok\n  .click\nl after "x"`), TclWebError, '".click" needs an indented block');
+    assertEquals(noBody.location, { line: 2, column: 3 });
+    assertThrows(() => parseAndCompile(`http.get "/items"\n  .callback`), TclWebError, '".callback" needs an indented block');
+
+    const noDot = assertThrows(() => parseAndCompile(`bind ok\n  click\n    set x 1`), TclWebError, 'Bad event "click": must start with "."');
+    assertEquals(noDot.location, { line: 2, column: 3 });
+});
+
+Deno.test("Compiler Unit: 'component' definition", () => {
+    const { bytecode, constants } = parseAndCompile(`component field label\n  l caption {$label}`);
+
+    const block = constants[bytecode[0][1]];
+    assertEquals(bytecode, [
+        [Opcodes.DEF_BLOCK, constants.indexOf(block)],
+        [Opcodes.PUSH_CONST, constants.indexOf("label")],
+        [Opcodes.PUSH_CONST, constants.indexOf("field")],
+        [Opcodes.DEF_COMPONENT, 1],
+    ]);
+    assertEquals(block.bytecode[block.bytecode.length - 1], [Opcodes.CREATE_WIDGET]);
+    assertThrows(() => parseAndCompile(`component field`), TclWebError, '"component" needs an indented block');
+});
+
+Deno.test("Compiler Unit: 'destroy', 'unbind' and 'unwatch'", () => {
+    const { bytecode, constants } = parseAndCompile(`destroy a b\nunbind a .click\nunwatch todos`);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.indexOf("a")],
+        [Opcodes.DESTROY_WIDGET],
+        [Opcodes.PUSH_CONST, constants.indexOf("b")],
+        [Opcodes.DESTROY_WIDGET],
+        [Opcodes.PUSH_CONST, constants.indexOf(".click")],
+        [Opcodes.PUSH_CONST, constants.indexOf("a")],
+        [Opcodes.UNBIND_WIDGET, 1],
+        [Opcodes.PUSH_CONST, constants.indexOf("todos")],
+        [Opcodes.UNWATCH_STATE],
+    ]);
+    assertThrows(() => parseAndCompile(`unbind a click`), TclWebError, 'Bad event "click": must start with "."');
+});
+
+Deno.test("Compiler Unit: 'computed' definition", () => {
+    const { bytecode, constants } = parseAndCompile(`computed total\n  return [expr {$a} + 1]`);
+
+    const block = constants[bytecode[0][1]];
+    assertEquals(bytecode, [
+        [Opcodes.DEF_BLOCK, constants.indexOf(block)],
+        [Opcodes.PUSH_CONST, constants.indexOf("total")],
+        [Opcodes.DEF_COMPUTED],
+    ]);
+    assertEquals(block.bytecode[block.bytecode.length - 1], [Opcodes.RETURN]);
+});
+
+Deno.test("Compiler Unit: 'persist' options", () => {
+    const { bytecode, constants } = parseAndCompile(`persist todos -key app.todos`, UNOPTIMIZED);
+
+    assertEquals(bytecode, [
+        [Opcodes.PUSH_CONST, constants.indexOf("app.todos")],
+        [Opcodes.PUSH_CONST, constants.indexOf("-key")],
+        [Opcodes.BUILD_OBJ, 1],
+        [Opcodes.PUSH_CONST, constants.indexOf("todos")],
+        [Opcodes.PERSIST_STATE],
+    ]);
+});
+
+Deno.test("Compiler Unit: instructions carry source locations", () => {
+    const { bytecode, locations } = parseAndCompile(`set a 1\nwatch a\n  set b [llength {$a}]`);
+
+    assertEquals(locations.length, bytecode.length);
+    assertEquals(locations[0], { line: 1, column: 1 });
+    assertEquals(locations[locations.length - 1], { line: 2, column: 1 });
+});
+
+Deno.test("Compiler Unit: errors are located TclWebErrors", () => {
+    const cases = [
+        [`l title`, 'wrong # args: should be "l name text"', { line: 1, column: 1 }],
+        [`set a 1\nconf a -text`, 'Missing value for option "-text"', { line: 2, column: 8 }],
+        [`expr 1 +`, "Unexpected end of expression", { line: 1, column: 1 }],
+        [`watch a`, '"watch" needs an indented block', { line: 1, column: 1 }],
+        [`c form\ngrid columnconfigure form`, 'wrong # args: should be "grid columnconfigure parent index ?-option value ...?"', { line: 2, column: 1 }],
+        [`grid rowconfigure`, 'wrong # args: should be "grid rowconfigure parent index ?-option value ...?"', { line: 1, column: 1 }],
+    ];
+    for (const [code, message, location] of cases) {
+        const error = assertThrows(() => parseAndCompile(code), TclWebError, message);
+        assertEquals(error.code, "COMPILE_ERROR");
+        assertEquals(error.location, location);
+    }
+});
+
 Deno.test("Compiler Integration: Todo App", () => {
     const code = `
 set todos [list "Learn TCL-Web"]
@@ -71,23 +386,33 @@ bind add_button
 `;
     const { bytecode, constants } = parseAndCompile(code);
 
-    assertEquals(bytecode.length, 14);
+    assertEquals(bytecode.length, 16);
+
+    // [list "Learn TCL-Web"] is evaluated inline before SET_STATE
+    assertEquals(bytecode.slice(0, 5), [
+        [Opcodes.PUSH_CONST, constants.indexOf("Learn TCL-Web")],
+        [Opcodes.PUSH_CONST, constants.indexOf("list")],
+        [Opcodes.CALL_BUILTIN, 1],
+        [Opcodes.PUSH_CONST, constants.indexOf("todos")],
+        [Opcodes.SET_STATE],
+    ]);
 
     // Check the bind instruction
-    const bindInstruction = bytecode[13];
+    const bindInstruction = bytecode[15];
     assertEquals(bindInstruction[0], Opcodes.BIND_WIDGET);
     assertEquals(bindInstruction[1], 1); // 1 event
 
     // Find the DEF_BLOCK for the click handler
-    const defBlockInstruction = bytecode[10];
+    const defBlockInstruction = bytecode[12];
     assertEquals(defBlockInstruction[0], Opcodes.DEF_BLOCK);
 
     // Inspect the block itself
     const block = constants[defBlockInstruction[1]];
-    assertEquals(block.bytecode.length, 7); // lappend (4) + set (3)
+    assertEquals(block.bytecode.length, 8); // lappend (4) + POP + set (3)
     assertEquals(block.bytecode[0][0], Opcodes.PUSH_CONST); // arg 1: todos
     assertEquals(block.bytecode[1][0], Opcodes.PUSH_VAR);   // arg 2: {$new_todo_text}
-    assertEquals(block.bytecode[3][0], Opcodes.CALL_PROC);  // lappend is at index 3
+    assertEquals(block.bytecode[3][0], Opcodes.CALL_BUILTIN); // lappend is at index 3
+    assertEquals(block.bytecode[4][0], Opcodes.POP);        // its result is discarded
 });
 
 Deno.test("Compiler Integration: API Fetcher App", () => {
@@ -108,11 +433,13 @@ bind fetch_button
     const bindBlock = constants[bindBlockIndex];
     
     // The http.get command is the only one in the .click block.
-    // It consists of DEF_BLOCK, PUSH_CONST, PUSH_CONST, HTTP_GET
-    assertEquals(bindBlock.bytecode.length, 4);
-    const httpGetInstruction = bindBlock.bytecode[3];
-    assertEquals(httpGetInstruction[0], Opcodes.HTTP_GET);
+    // It consists of DEF_BLOCK, PUSH_CONST (name), BUILD_OBJ (options),
+    // PUSH_CONST (url), PUSH_CONST (method), HTTP_REQUEST
+    assertEquals(bindBlock.bytecode.length, 6);
+    const httpGetInstruction = bindBlock.bytecode[5];
+    assertEquals(httpGetInstruction[0], Opcodes.HTTP_REQUEST);
     assertEquals(httpGetInstruction[1], 1); // 1 callback
+    assertEquals(bindBlock.constants[bindBlock.bytecode[4][1]], "GET");
 
     // Find the callback block defined within the http.get block
     const callbackBlockIndex = bindBlock.bytecode[0][1]; // bindBlock.bytecode[0] is the DEF_BLOCK for .callback
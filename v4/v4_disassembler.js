@@ -0,0 +1,69 @@
+import { Opcodes } from './v4_compiler.js';
+import { OPERAND_KINDS, isChunk } from './v4_bytecode_format.js';
+
+export const OPCODE_NAMES = Object.fromEntries(Object.entries(Opcodes).map(([name, opcode]) => [opcode, name]));
+
+/**
+ * Renders a constant the way it would appear in source: strings quoted,
+ * blocks by name.
+ * @param {*} value
+ * @param {string} [blockName] The name to show if the constant is a block.
+ * @returns {string}
+ */
+export function describeConstant(value, blockName = 'block') {
+    if (isChunk(value)) return `<${blockName}>`;
+    return JSON.stringify(value);
+}
+
+/**
+ * Formats one instruction as `ip  line:column  OPCODE  operand  ; meaning`.
+ * The location is shown as `|` when it is the same as the previous
+ * instruction's, so each source command starts a visible group.
+ * @param {object} chunk The chunk the instruction belongs to.
+ * @param {number} ip
+ * @param {string} [name] The chunk's name, used to name nested blocks.
+ * @returns {string}
+ */
+export function disassembleInstruction(chunk, ip, name = 'program') {
+    const { bytecode, constants, locations = [] } = chunk;
+    const [opcode, ...operands] = bytecode[ip];
+    const loc = locations[ip];
+    const previous = ip > 0 ? locations[ip - 1] : null;
+    const sameLoc = loc && previous && loc.line === previous.line && loc.column === previous.column;
+    const where = !loc ? '' : sameLoc ? '|' : `${loc.line}:${loc.column}`;
+
+    let comment = '';
+    const kind = OPERAND_KINDS[opcode];
+    if (kind === 'constant' || kind === 'chunk') {
+        comment = describeConstant(constants[operands[0]], `${name}/${operands[0]}`);
+    } else if (kind === 'target') {
+        comment = `-> ${String(operands[0]).padStart(4, '0')}`;
+    }
+    const text = [
+        String(ip).padStart(4, '0'),
+        where.padStart(7),
+        ' ',
+        (OPCODE_NAMES[opcode] || `OP_${opcode}`).padEnd(16),
+        operands.join(' ').padEnd(6),
+        comment ? `; ${comment}` : '',
+    ].join(' ');
+    return text.trimEnd();
+}
+
+/**
+ * Pretty-prints a compiled program: one section per chunk, the program
+ * first and then each nested block (the bodies of `bind`, `proc`, ...),
+ * named after the constant that holds it, e.g. `program/3`.
+ * @param {object} chunk A program or block, as produced by the Compiler.
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function disassemble(chunk, name = 'program') {
+    const lines = [`== ${name} ==`];
+    chunk.bytecode.forEach((_, ip) => lines.push(disassembleInstruction(chunk, ip, name)));
+    const sections = [lines.join('\n')];
+    chunk.constants.forEach((constant, i) => {
+        if (isChunk(constant)) sections.push(disassemble(constant, `${name}/${i}`));
+    });
+    return sections.join('\n\n');
+}
@@ -0,0 +1,46 @@
+import {
+  assertEquals,
+} from "https://deno.land/std@0.224.0/testing/asserts.ts";
+
+import Parser from "./v4_parser.js";
+import Compiler from "./v4_compiler.js";
+import { disassemble, disassembleInstruction } from "./v4_disassembler.js";
+
+function compile(code) {
+    return new Compiler().compile(new Parser().parse(code));
+}
+
+Deno.test("Disassembler: chunks, constants and nested blocks", () => {
+    const program = compile(`set a 1\nwhile {$a} < 3\n  set a [expr {$a} + 1]\nbind t\n  .click\n    conf t -text "hi"`);
+
+    assertEquals(disassemble(program), `== program ==
+0000     1:1   PUSH_CONST       0      ; 1
+0001       |   PUSH_CONST       1      ; "a"
+0002       |   SET_STATE
+0003     2:1   PUSH_VAR         1      ; "a"
+0004       |   PUSH_CONST       2      ; 3
+0005       |   LT
+0006       |   JUMP_IF_FALSE    13     ; -> 0013
+0007    3:10   PUSH_VAR         1      ; "a"
+0008       |   PUSH_CONST       0      ; 1
+0009       |   ADD
+0010     3:3   PUSH_CONST       1      ; "a"
+0011       |   SET_STATE
+0012     2:1   JUMP             3      ; -> 0003
+0013     4:1   DEF_BLOCK        3      ; <program/3>
+0014       |   PUSH_CONST       4      ; ".click"
+0015       |   PUSH_CONST       5      ; "t"
+0016       |   BIND_WIDGET      1
+
+== program/3 ==
+0000     6:5   PUSH_CONST       0      ; {"-text":"hi"}
+0001       |   PUSH_CONST       1      ; "t"
+0002       |   UPDATE_WIDGET`);
+});
+
+Deno.test("Disassembler: instructions without locations", () => {
+    const chunk = { bytecode: [[0, 0], [99]], constants: [{ initialText: "x" }] };
+
+    assertEquals(disassembleInstruction(chunk, 0), `0000           PUSH_CONST       0      ; {"initialText":"x"}`);
+    assertEquals(disassembleInstruction(chunk, 1), `0001           OP_99`);
+});
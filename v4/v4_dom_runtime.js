@@ -0,0 +1,361 @@
+import TCLWebRuntime from './v4_runtime.js';
+import { toNumber, toList, formatValue } from './v4_values.js';
+
+export const ELEMENT_TAGS = { LABEL: 'label', BUTTON: 'button', INPUT: 'input', LISTBOX: 'ul', CANVAS: 'canvas', CONTAINER: 'div' };
+
+// How the options every widget type takes style its element
+export const OPTION_STYLES = {
+    '-bg': value => ({ backgroundColor: value }),
+    '-fg': value => ({ color: value }),
+    '-width': value => ({ width: `${value}px` }),
+    '-height': value => ({ height: `${value}px` }),
+};
+
+// The style of the root and of every container before anything is packed in it
+export const CONTAINER_STYLE = { display: 'flex', flexDirection: 'column' };
+
+function isVerticalSide(side) {
+    return side === 'top' || side === 'bottom';
+}
+
+function packWrapper(style, children = []) {
+    return { wrapper: true, style: { display: 'flex', minWidth: '0', minHeight: '0', ...style }, children };
+}
+
+/**
+ * Plans the layout of a parent's packed slaves. Tk's packer allocates each
+ * slave a parcel along one side of the remaining cavity. This is emulated
+ * with flexbox: consecutive slaves packed against the same axis share one
+ * flex container, and whenever the axis changes the rest of the cavity
+ * becomes a nested anonymous flex container.
+ * @param {string[]} slaves In packing order.
+ * @param {Map<string, object>} packInfo The pack options of each slave.
+ * @returns {{style: object, children: object[]}} The parent's style and
+ *     contents: `{widget, style}` for a slave, `{wrapper: true, style,
+ *     children}` for an anonymous element.
+ */
+export function planPack(slaves, packInfo) {
+    const plan = { style: {}, children: [] };
+    let cavity = plan;
+    let i = 0;
+    while (i < slaves.length) {
+        const vertical = isVerticalSide(packInfo.get(slaves[i]).side);
+        let j = i;
+        while (j < slaves.length && isVerticalSide(packInfo.get(slaves[j]).side) === vertical) j++;
+        const group = slaves.slice(i, j);
+
+        cavity.style.display = 'flex';
+        cavity.style.flexDirection = vertical ? 'column' : 'row';
+        const atEnd = slave => ['bottom', 'right'].includes(packInfo.get(slave).side);
+        for (const slave of group.filter(slave => !atEnd(slave))) {
+            cavity.children.push(planSlave(slave, packInfo.get(slave), vertical));
+        }
+
+        let rest = null;
+        if (j < slaves.length) {
+            rest = packWrapper({ flex: '1 1 auto', alignSelf: 'stretch' });
+            cavity.children.push(rest);
+        } else if (group.some(atEnd) && !group.some(slave => packInfo.get(slave).expand)) {
+            // Unclaimed cavity space separates the start and end slaves
+            cavity.children.push(packWrapper({ flex: '1 1 auto' }));
+        }
+        // The first slave packed against the end side sits closest to it
+        for (const slave of group.filter(atEnd).reverse()) {
+            cavity.children.push(planSlave(slave, packInfo.get(slave), vertical));
+        }
+
+        cavity = rest;
+        i = j;
+    }
+    return plan;
+}
+
+/**
+ * Styles a packed slave for a cavity running along the given axis. A slave
+ * that expands without filling along the cavity's axis is wrapped in a parcel.
+ */
+function planSlave(name, { fill, expand, anchor, padx, pady, ipadx, ipady }, vertical) {
+    const fillsCross = fill === 'both' || fill === (vertical ? 'x' : 'y');
+    const fillsMain = fill === 'both' || fill === (vertical ? 'y' : 'x');
+    const [mainAnchor, crossAnchor] = vertical ? ['ns', 'we'] : ['we', 'ns'];
+    const alignFor = axis => anchor.includes(axis[0]) ? 'flex-start' : anchor.includes(axis[1]) ? 'flex-end' : 'center';
+
+    const slave = {
+        widget: name,
+        style: {
+            margin: `${toNumber(pady)}px ${toNumber(padx)}px`,
+            padding: `${toNumber(ipady)}px ${toNumber(ipadx)}px`,
+            alignSelf: fillsCross ? 'stretch' : alignFor(crossAnchor),
+            flex: expand && fillsMain ? '1 1 auto' : '0 0 auto',
+        },
+    };
+    if (!expand || fillsMain) return slave;
+    return packWrapper({
+        flex: '1 1 auto',
+        alignSelf: 'stretch',
+        flexDirection: vertical ? 'column' : 'row',
+        justifyContent: alignFor(mainAnchor),
+    }, [slave]);
+}
+
+/**
+ * @param {object} info A grid slave's options.
+ * @returns {object} The style that places the slave in its cells.
+ */
+export function gridSlaveStyle({ row, column, rowspan, columnspan, sticky, padx, pady }) {
+    const alignFor = (start, end) => sticky.includes(start) && sticky.includes(end)
+        ? 'stretch' : sticky.includes(start) ? 'start' : sticky.includes(end) ? 'end' : 'center';
+    return {
+        gridRow: `${row + 1} / span ${rowspan}`,
+        gridColumn: `${column + 1} / span ${columnspan}`,
+        justifySelf: alignFor('w', 'e'),
+        alignSelf: alignFor('n', 's'),
+        margin: `${pady}px ${padx}px`,
+    };
+}
+
+/**
+ * @param {object[]} slaves The grid options of a parent's slaves (at least one).
+ * @param {{row: Map, column: Map}} [tracks] Options from `grid rowconfigure/columnconfigure`.
+ * @returns {object} The parent's style, a CSS grid.
+ */
+export function gridStyle(slaves, tracks = { row: new Map(), column: new Map() }) {
+    const templateFor = (axis, span) => {
+        const count = Math.max(...slaves.map(info => info[axis] + info[span]));
+        return Array.from({ length: count }, (_, i) => {
+            const { weight = 0, minsize = 0 } = tracks[axis].get(i) || {};
+            return `minmax(${minsize}px, ${weight > 0 ? `${weight}fr` : 'auto'})`;
+        }).join(' ');
+    };
+    return {
+        display: 'grid',
+        gridTemplateColumns: templateFor('column', 'columnspan'),
+        gridTemplateRows: templateFor('row', 'rowspan'),
+    };
+}
+
+/**
+ * A runtime that renders widgets as elements of a real DOM. Elements are
+ * made by the root's own document, so the runtime works with any DOM
+ * implementation, not just the global `document`.
+ */
+export default class DOMRuntime extends TCLWebRuntime {
+    /**
+     * @param {string|Element} root The element widgets go into, or its id in the global `document`.
+     * @param {object} [options]
+     * @param {boolean} [options.hydrate] Reuse the widgets already in the root,
+     *     as rendered by the server (see v4_ssr.js), until endHydration.
+     */
+    constructor(root, options = {}) {
+        super();
+        this.root = typeof root === 'string' ? globalThis.document.getElementById(root) : root;
+        if (!this.root) throw new Error(`Root element #${root} not found.`);
+        this.document = this.root.ownerDocument;
+
+        Object.assign(this.root.style, CONTAINER_STYLE);
+        this.packWrappers = new Map(); // parent name -> anonymous layout elements
+        this.adoptable = new Map(); // widget name -> server-rendered element, while hydrating
+        this.staleWrappers = [];
+        if (options.hydrate) {
+            this.root.querySelectorAll('[data-widget-type]').forEach(element => this.adoptable.set(element.id, element));
+            this.staleWrappers = [...this.root.querySelectorAll('[data-pack-wrapper]')];
+        }
+    }
+
+    /**
+     * Ends hydration. Server-rendered elements that no widget adopted, and
+     * the server's layout elements, which layout has replaced, are removed.
+     */
+    endHydration() {
+        this.adoptable.forEach(element => element.remove());
+        this.adoptable.clear();
+        this.staleWrappers.forEach(wrapper => wrapper.remove());
+        this.staleWrappers = [];
+    }
+
+    createNode(name, type, options) {
+        let element = this.adoptable.get(name);
+        this.adoptable.delete(name);
+        if (element && element.dataset.widgetType !== type) {
+            element.remove();
+            element = null;
+        }
+        element = element || this.document.createElement(ELEMENT_TAGS[type] || 'div');
+        switch (type) {
+            case 'LABEL':
+                element.textContent = options.initialText || '';
+                break;
+            case 'BUTTON':
+                element.textContent = options.label || '';
+                break;
+            case 'CANVAS':
+                if (options.width) element.width = toNumber(options.width);
+                if (options.height) element.height = toNumber(options.height);
+                break;
+            case 'CONTAINER':
+                Object.assign(element.style, CONTAINER_STYLE);
+                break;
+        }
+        element.id = name;
+        element.dataset.widgetType = type;
+        return element;
+    }
+
+    insertNode(name) {
+        this.parentElement(name).appendChild(this.widgets.get(name));
+    }
+
+    removeNode(name) {
+        this.widgets.get(name).remove();
+    }
+
+    destroyWidget(name) {
+        super.destroyWidget(name);
+        this.packWrappers.delete(name);
+    }
+
+    parentElement(name) {
+        const parentName = this.parents.get(name);
+        return parentName ? this.widgets.get(parentName) : this.root;
+    }
+
+    updateWidget(name, options) {
+        const widget = this.widgets.get(name);
+        if (!widget) return;
+
+        for (const key in options) {
+            const value = options[key];
+            switch (key) {
+                case '-text': widget.textContent = value; break;
+                case '-bg':
+                case '-fg':
+                case '-width':
+                case '-height':
+                    Object.assign(widget.style, OPTION_STYLES[key](value));
+                    break;
+                case '-value': widget.value = value; break;
+                case '-items': // For listbox
+                    if (widget.tagName === 'UL') {
+                        widget.innerHTML = '';
+                        toList(value).forEach(item => {
+                            const li = this.document.createElement('li');
+                            li.textContent = formatValue(item);
+                            widget.appendChild(li);
+                        });
+                    }
+                    break;
+            }
+        }
+    }
+
+    hasValue(name) {
+        return 'value' in this.widgets.get(name);
+    }
+
+    readValue(name) {
+        return this.widgets.get(name).value;
+    }
+
+    // Only writes when the text differs, so the caret does not jump while the user types
+    writeValue(name, text) {
+        const widget = this.widgets.get(name);
+        if (widget.value !== text) widget.value = text;
+    }
+
+    // Builds the elements planned by planPack; the anonymous ones replace those of the last layout
+    layoutPacked(parentName) {
+        const parent = parentName ? this.widgets.get(parentName) : this.root;
+        const oldWrappers = this.packWrappers.get(parentName) || [];
+        const wrappers = [];
+        const build = (element, items) => items.forEach(item => {
+            let child;
+            if (item.wrapper) {
+                child = this.document.createElement('div');
+                child.dataset.packWrapper = '';
+                wrappers.push(child);
+            } else {
+                child = this.widgets.get(item.widget);
+            }
+            Object.assign(child.style, item.style);
+            element.appendChild(child);
+            if (item.wrapper) build(child, item.children);
+        });
+
+        const { style, children } = planPack(this.packSlaves.get(parentName) || [], this.packInfo);
+        Object.assign(parent.style, style);
+        build(parent, children);
+        oldWrappers.forEach(wrapper => wrapper.remove());
+        this.packWrappers.set(parentName, wrappers);
+    }
+
+    // The parent becomes a CSS grid (see layoutGrid); the slave spans its cells
+    placeGridSlave(name) {
+        const widget = this.widgets.get(name);
+        Object.assign(widget.style, gridSlaveStyle(this.gridInfo.get(name)));
+        this.parentElement(name).appendChild(widget);
+    }
+
+    layoutGrid(parentName) {
+        const slaves = this.gridSlaves(parentName);
+        if (slaves.length === 0) return;
+        const parent = parentName ? this.widgets.get(parentName) : this.root;
+        const style = gridStyle(slaves.map(slave => this.gridInfo.get(slave)), this.gridTracks.get(parentName));
+        Object.assign(parent.style, style);
+    }
+
+    // Composite events such as `mousedrag` are synthesized from several DOM events
+    listen(name, eventName, handler) {
+        const widget = this.widgets.get(name);
+        if (eventName === 'mousedrag') return this.bindDrag(widget, handler);
+        widget.addEventListener(eventName, handler);
+        return () => widget.removeEventListener(eventName, handler);
+    }
+
+    // A drag fires on the press and on every move until the button is released,
+    // even if the pointer leaves the widget before that. Returns a function
+    // that removes the listeners.
+    bindDrag(widget, handler) {
+        let dragging = false;
+        const press = event => {
+            dragging = true;
+            handler(event);
+        };
+        const move = event => {
+            if (dragging) handler(event);
+        };
+        const release = () => {
+            dragging = false;
+        };
+        widget.addEventListener('mousedown', press);
+        widget.addEventListener('mousemove', move);
+        widget.ownerDocument.addEventListener('mouseup', release);
+        return () => {
+            widget.removeEventListener('mousedown', press);
+            widget.removeEventListener('mousemove', move);
+            widget.ownerDocument.removeEventListener('mouseup', release);
+        };
+    }
+
+    /**
+     * Normalizes a DOM event into the `event` variable seen by bind handlers.
+     * Coordinates are relative to the widget's top-left corner.
+     */
+    describeEvent(name, type, domEvent) {
+        const widget = this.widgets.get(name);
+        const rect = typeof widget.getBoundingClientRect === 'function'
+            ? widget.getBoundingClientRect() : { left: 0, top: 0 };
+        return {
+            type,
+            widget: name,
+            x: (domEvent.clientX ?? rect.left) - rect.left,
+            y: (domEvent.clientY ?? rect.top) - rect.top,
+            button: domEvent.button ?? 0,
+            key: domEvent.key ?? '',
+            ctrl: Boolean(domEvent.ctrlKey),
+            shift: Boolean(domEvent.shiftKey),
+            alt: Boolean(domEvent.altKey),
+            meta: Boolean(domEvent.metaKey),
+            value: 'value' in widget ? widget.value : '',
+        };
+    }
+}
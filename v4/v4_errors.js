@@ -0,0 +1,38 @@
+const MAX_TRACE_LINES = 20;
+
+/**
+ * An error in a TCL-Web program, raised by the parser, the compiler or the VM.
+ * `code` says which phase failed (PARSE_ERROR, COMPILE_ERROR, LOAD_ERROR or RUNTIME_ERROR),
+ * `location` is the `{line, column}` of the offending source (1-based, or null
+ * when unknown) and `trace` lists the TCL-level frames that were running,
+ * innermost first, as `{proc, line, column}` (`proc` is null for top-level
+ * code and callbacks).
+ */
+export class TclWebError extends Error {
+    constructor(code, message, location = null, trace = []) {
+        super(message);
+        this.name = 'TclWebError';
+        this.code = code;
+        this.location = location;
+        this.trace = trace;
+    }
+
+    /**
+     * Renders the error with its location and call trace for display.
+     * @returns {string}
+     */
+    format() {
+        const where = ({ line, column }) => `line ${line}, column ${column}`;
+        const lines = [this.location ? `${this.message} (${where(this.location)})` : this.message];
+        // Deep recursion would print thousands of identical frames
+        const shown = this.trace.slice(0, MAX_TRACE_LINES);
+        for (const frame of shown) {
+            const place = frame.line ? ` at ${where(frame)}` : '';
+            lines.push(`    in ${frame.proc === null ? 'top-level code' : `proc "${frame.proc}"`}${place}`);
+        }
+        if (this.trace.length > shown.length) {
+            lines.push(`    ... ${this.trace.length - shown.length} more`);
+        }
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,184 @@
+import { numberFromText } from './v4_values.js';
+
+// Binary operators and their precedence, from loosest to tightest binding.
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    'eq': 3, 'ne': 3,
+    '==': 4, '!=': 4,
+    '<': 5, '<=': 5, '>': 5, '>=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7,
+};
+
+const UNARY_OPERATORS = ['-', '!'];
+
+const TEXT_TOKEN_REGEX = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(&&|\|\||==|!=|<=|>=|[-+*/%<>!()])|\{\$([^}]+)\}|([^\s\d&|=!<>+\-*/%(){}][^\s&|=!<>+\-*/%(){}]*))/y;
+
+export default class ExpressionParser {
+    /**
+     * Parses the arguments of an `expr` command into an expression tree.
+     * Arguments may be split across words (`{$count} + 1`) or written
+     * together (`({$count}+1)*2`); substitutions stay as opaque operands.
+     * @param {object[]} argNodes The argument nodes produced by the Parser.
+     * @returns {object} The root expression node.
+     */
+    parse(argNodes) {
+        this.tokens = this._tokenize(argNodes);
+        this.pos = 0;
+        if (this.tokens.length === 0) {
+            throw new Error('Empty expression');
+        }
+        const expression = this._parseBinary(1);
+        if (this.pos < this.tokens.length) {
+            throw new Error(`Unexpected token in expression: "${this._describe(this.tokens[this.pos])}"`);
+        }
+        return expression;
+    }
+
+    /**
+     * Flattens argument nodes into operator and operand tokens.
+     * @param {object[]} argNodes
+     * @returns {Array<{type: string, value?: string, node?: object}>}
+     * @private
+     */
+    _tokenize(argNodes) {
+        const tokens = [];
+        for (const argNode of argNodes) {
+            switch (argNode.type) {
+                case 'Identifier':
+                case 'Option':
+                    tokens.push(...this._tokenizeText(argNode.value));
+                    break;
+                case 'NumberLiteral':
+                    // `-1` is one word to the parser but may be a binary minus here: `{$a} -1`
+                    // (a whole-number float such as `-2.0` is its text, see numberFromText)
+                    if (typeof argNode.value === 'string' ? argNode.value.startsWith('-') : argNode.value < 0 || Object.is(argNode.value, -0)) {
+                        const magnitude = typeof argNode.value === 'string' ? argNode.value.slice(1) : -argNode.value;
+                        tokens.push({ type: 'operator', value: '-' });
+                        tokens.push({ type: 'operand', node: { type: 'Literal', value: magnitude } });
+                    } else {
+                        tokens.push({ type: 'operand', node: { type: 'Literal', value: argNode.value } });
+                    }
+                    break;
+                case 'StringLiteral':
+                    if (argNode.braced) this._checkBraced(argNode);
+                    tokens.push({ type: 'operand', node: { type: 'Literal', value: argNode.value } });
+                    break;
+                case 'BooleanLiteral':
+                    tokens.push({ type: 'operand', node: { type: 'Literal', value: argNode.value } });
+                    break;
+                default:
+                    tokens.push({ type: 'operand', node: { type: 'Operand', arg: argNode } });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Braced words are literal strings, so `{{$a} + 1}` would quietly be the
+     * text `{$a} + 1`. One that looks like an expression is an error instead.
+     * @param {object} argNode
+     * @private
+     */
+    _checkBraced({ value, loc }) {
+        const words = value.trim().split(/\s+/);
+        if (/\{\$[^}]+\}|\[/.test(value) || words.some(word => Object.hasOwn(BINARY_PRECEDENCE, word))) {
+            const error = new Error(`Braced word "{${value}}" is a literal string and is not evaluated; remove the braces`);
+            error.loc = loc;
+            throw error;
+        }
+    }
+
+    /**
+     * Splits the raw text of an unquoted word into expression tokens.
+     * @param {string} text
+     * @returns {Array<{type: string, value?: string, node?: object}>}
+     * @private
+     */
+    _tokenizeText(text) {
+        const tokens = [];
+        TEXT_TOKEN_REGEX.lastIndex = 0;
+        while (TEXT_TOKEN_REGEX.lastIndex < text.length) {
+            const match = TEXT_TOKEN_REGEX.exec(text);
+            if (!match) {
+                throw new Error(`Invalid character in expression: "${text.slice(TEXT_TOKEN_REGEX.lastIndex)}"`);
+            }
+            const [, number, operator, variable, word] = match;
+            if (number !== undefined) {
+                tokens.push({ type: 'operand', node: { type: 'Literal', value: numberFromText(number) } });
+            } else if (operator !== undefined) {
+                tokens.push({ type: 'operator', value: operator });
+            } else if (variable !== undefined) {
+                const arg = { type: 'VariableSubstitution', name: variable };
+                tokens.push({ type: 'operand', node: { type: 'Operand', arg } });
+            } else if (word === 'eq' || word === 'ne') {
+                tokens.push({ type: 'operator', value: word });
+            } else if (word === 'true' || word === 'false') {
+                tokens.push({ type: 'operand', node: { type: 'Literal', value: word === 'true' } });
+            } else {
+                tokens.push({ type: 'operand', node: { type: 'Literal', value: word } });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Precedence-climbing parser for binary operators.
+     * @param {number} minPrecedence
+     * @returns {object}
+     * @private
+     */
+    _parseBinary(minPrecedence) {
+        let left = this._parseUnary();
+        for (;;) {
+            const token = this.tokens[this.pos];
+            const precedence = token && token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) {
+                return left;
+            }
+            this.pos++;
+            const right = this._parseBinary(precedence + 1);
+            left = { type: 'Binary', operator: token.value, left, right };
+        }
+    }
+
+    /**
+     * Parses unary operators, parenthesized groups and operands.
+     * @returns {object}
+     * @private
+     */
+    _parseUnary() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+        if (token.type === 'operand') {
+            return token.node;
+        }
+        if (UNARY_OPERATORS.includes(token.value)) {
+            return { type: 'Unary', operator: token.value, operand: this._parseUnary() };
+        }
+        if (token.value === '(') {
+            const inner = this._parseBinary(1);
+            const closing = this.tokens[this.pos++];
+            if (!closing || closing.value !== ')') {
+                throw new Error('Missing closing ")" in expression');
+            }
+            return inner;
+        }
+        throw new Error(`Unexpected token in expression: "${this._describe(token)}"`);
+    }
+
+    /**
+     * Renders a token back to source-like text for error messages.
+     * @param {object} token
+     * @returns {string}
+     * @private
+     */
+    _describe(token) {
+        if (token.type === 'operator') return token.value;
+        if (token.node.type === 'Literal') return String(token.node.value);
+        return token.node.arg.type === 'VariableSubstitution' ? `{$${token.node.arg.name}}` : '[...]';
+    }
+}
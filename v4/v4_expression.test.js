@@ -0,0 +1,97 @@
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.224.0/testing/asserts.ts";
+import Parser from "./v4_parser.js";
+import ExpressionParser from "./v4_expression.js";
+
+// Helper to parse the arguments of a single `expr` command
+function parseExpr(code) {
+    const ast = new Parser().parse(`expr ${code}`);
+    return new ExpressionParser().parse(ast.body[0].args);
+}
+
+Deno.test("Expression: Operator precedence", () => {
+    assertEquals(parseExpr(`1 + 2 * 3`), {
+        type: "Binary",
+        operator: "+",
+        left: { type: "Literal", value: 1 },
+        right: {
+            type: "Binary",
+            operator: "*",
+            left: { type: "Literal", value: 2 },
+            right: { type: "Literal", value: 3 },
+        },
+    });
+});
+
+Deno.test("Expression: Parentheses and left associativity", () => {
+    const expr = parseExpr(`(10 - 4) - 3`);
+    assertEquals(expr.operator, "-");
+    assertEquals(expr.left.operator, "-");
+    assertEquals(expr.right, { type: "Literal", value: 3 });
+});
+
+Deno.test("Expression: Operands written without spaces", () => {
+    const expr = parseExpr(`({$count}+1)*2`);
+    assertEquals(expr.operator, "*");
+    assertEquals(expr.left.left, {
+        type: "Operand",
+        arg: { type: "VariableSubstitution", name: "count" },
+    });
+});
+
+Deno.test("Expression: Comparison binds tighter than boolean operators", () => {
+    const expr = parseExpr(`{$a} > 1 && !{$done} || {$name} eq "bob"`);
+    assertEquals(expr.operator, "||");
+    assertEquals(expr.left.operator, "&&");
+    assertEquals(expr.left.left.operator, ">");
+    assertEquals(expr.left.right, {
+        type: "Unary",
+        operator: "!",
+        operand: { type: "Operand", arg: { type: "VariableSubstitution", name: "done" } },
+    });
+    assertEquals(expr.right.operator, "eq");
+    assertEquals(expr.right.right, { type: "Literal", value: "bob" });
+});
+
+Deno.test("Expression: Command substitution operand", () => {
+    const expr = parseExpr(`[llength {$todos}] == 0`);
+    assertEquals(expr.left.type, "Operand");
+    assertEquals(expr.left.arg.type, "CommandSubstitution");
+});
+
+Deno.test("Expression: Throws on malformed input", () => {
+    assertThrows(() => parseExpr(`1 +`), Error, "Unexpected end of expression");
+    assertThrows(() => parseExpr(`(1 + 2`), Error, "Missing closing");
+    assertThrows(() => parseExpr(`1 2`), Error, "Unexpected token");
+    assertThrows(() => new ExpressionParser().parse([]), Error, "Empty expression");
+});
+
+Deno.test("Expression: Negative number words", () => {
+    // The parser reads `-1` as one number; between operands it is a subtraction
+    const difference = parseExpr(`{$a} -1`);
+    assertEquals(difference.operator, "-");
+    assertEquals(difference.right, { type: "Literal", value: 1 });
+
+    assertEquals(parseExpr(`-2`), {
+        type: "Unary",
+        operator: "-",
+        operand: { type: "Literal", value: 2 },
+    });
+});
+
+Deno.test("Expression: Braced operands that look like expressions are rejected", () => {
+    const error = assertThrows(() => parseExpr(`{{$a} + 1}`), Error, 'Braced word "{{$a} + 1}" is a literal string');
+    assertEquals(error.loc, { line: 1, column: 6 });
+    assertThrows(() => parseExpr(`{1 + 2} * 3`), Error, "is a literal string");
+    assertThrows(() => parseExpr(`{[llength {$items}]} > 0`), Error, "is a literal string");
+
+    // Plain braced strings are still fine
+    assertEquals(parseExpr(`{$status} eq {not-found}`).right, { type: "Literal", value: "not-found" });
+    assertEquals(parseExpr(`{hello world} ne {toString}`).left, { type: "Literal", value: "hello world" });
+
+    // Braced groups written together are operands, not one braced word
+    const sum = parseExpr(`{$a}+{$b}`);
+    assertEquals([sum.operator, sum.left.arg.name, sum.right.arg.name], ["+", "a", "b"]);
+});
@@ -0,0 +1,144 @@
+import TCLWebRuntime from './v4_runtime.js';
+import { toNumber, toList, formatValue } from './v4_values.js';
+
+/**
+ * A runtime that keeps widgets as plain objects instead of rendering
+ * them, so apps can run and be tested without any DOM. Events are raised
+ * with `fire` and the result inspected with `widget` and `tree`.
+ *
+ * Each node is `{name, type, text, value, items, style}`: `text` is a
+ * label's or button's text, `value` an input's value, `items` a listbox's
+ * items and `style` the `-bg`, `-fg`, `-width` and `-height` options.
+ */
+export default class HeadlessRuntime extends TCLWebRuntime {
+    constructor() {
+        super();
+        this.listeners = new Map(); // widget name -> Map of event name -> handlers
+    }
+
+    createNode(name, type, options) {
+        const node = { name, type, text: '', value: '', items: [], style: {} };
+        if (type === 'LABEL') node.text = formatValue(options.initialText ?? '');
+        if (type === 'BUTTON') node.text = formatValue(options.label ?? '');
+        if (type === 'CANVAS') {
+            node.width = options.width ? toNumber(options.width) : 300;
+            node.height = options.height ? toNumber(options.height) : 150;
+        }
+        return node;
+    }
+
+    insertNode() {}
+
+    removeNode() {}
+
+    destroyWidget(name) {
+        super.destroyWidget(name);
+        this.listeners.delete(name);
+    }
+
+    updateWidget(name, options) {
+        const node = this.widgets.get(name);
+        if (!node) return;
+
+        for (const key in options) {
+            const value = options[key];
+            switch (key) {
+                case '-text': node.text = formatValue(value); break;
+                case '-bg':
+                case '-fg':
+                case '-width':
+                case '-height':
+                    node.style[key.slice(1)] = value;
+                    break;
+                case '-value': node.value = formatValue(value); break;
+                case '-items':
+                    if (node.type === 'LISTBOX') node.items = toList(value).map(formatValue);
+                    break;
+            }
+        }
+    }
+
+    hasValue(name) {
+        return this.types.get(name) === 'INPUT';
+    }
+
+    readValue(name) {
+        return this.widgets.get(name).value;
+    }
+
+    writeValue(name, text) {
+        this.widgets.get(name).value = text;
+    }
+
+    // Layout is kept only as pack and grid options (see tree)
+    layoutPacked() {}
+
+    placeGridSlave() {}
+
+    layoutGrid() {}
+
+    listen(name, eventName, handler) {
+        if (!this.listeners.has(name)) this.listeners.set(name, new Map());
+        const events = this.listeners.get(name);
+        if (!events.has(eventName)) events.set(eventName, []);
+        events.get(eventName).push(handler);
+        return () => events.set(eventName, events.get(eventName).filter(h => h !== handler));
+    }
+
+    describeEvent(name, type, fields) {
+        const node = this.widgets.get(name);
+        return {
+            type,
+            widget: name,
+            x: 0,
+            y: 0,
+            button: 0,
+            key: '',
+            ctrl: false,
+            shift: false,
+            alt: false,
+            meta: false,
+            value: node.type === 'INPUT' ? node.value : '',
+            ...fields,
+        };
+    }
+
+    /**
+     * Raises an event on a widget, as if the user had caused it. Fields of
+     * the `event` variable can be given, e.g. `{x: 10, y: 20}`; a `value`
+     * field also sets the widget's value first, as typing would.
+     * @param {string} name
+     * @param {string} eventName Without the leading dot, e.g. `click`.
+     * @param {object} [fields]
+     */
+    fire(name, eventName, fields = {}) {
+        const node = this.widgets.get(name);
+        if (!node) throw new Error(`Cannot fire "${eventName}" on "${name}": no such widget`);
+        if ('value' in fields) node.value = formatValue(fields.value);
+        const handlers = (this.listeners.get(name) || new Map()).get(eventName) || [];
+        handlers.forEach(handler => handler(fields));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {object|undefined} The widget's node.
+     */
+    widget(name) {
+        return this.widgets.get(name);
+    }
+
+    /**
+     * Describes the widgets inside a container (by default the root) and,
+     * recursively, their children, with how each is laid out.
+     * @param {string|null} [parentName]
+     * @returns {object[]} Nodes with `pack` and `grid` options (or null) and `children`.
+     */
+    tree(parentName = null) {
+        return this.children(parentName).map(name => ({
+            ...this.widgets.get(name),
+            pack: this.packInfo.get(name) ?? null,
+            grid: this.gridInfo.get(name) ?? null,
+            children: this.tree(name),
+        }));
+    }
+}
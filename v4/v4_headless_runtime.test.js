@@ -0,0 +1,101 @@
+import { assertEquals, assertThrows } from "https://deno.land/std@0.224.0/testing/asserts.ts";
+
+import Parser from "./v4_parser.js";
+import Compiler from "./v4_compiler.js";
+import Interpreter from "./v4_interpreter.js";
+import HeadlessRuntime from "./v4_headless_runtime.js";
+
+// No DOM is loaded anywhere in this file
+function setup() {
+    const runtime = new HeadlessRuntime();
+    const interpreter = new Interpreter(runtime);
+    return { runtime, interpreter };
+}
+
+function run(interpreter, code) {
+    const { bytecode, constants, locations } = new Compiler().compile(new Parser().parse(code));
+    return interpreter.run(bytecode, constants, new Map(), locations);
+}
+
+Deno.test("Headless Runtime: runs an app without a DOM", () => {
+    assertEquals(globalThis.document, undefined);
+    const { runtime, interpreter } = setup();
+    run(interpreter, `
+set todos [list "Learn TCL-Web"]
+set new_todo ""
+c root
+  l title "Todos"
+  listbox todo_list -items {$todos}
+  i todo_input -bind new_todo
+  b add "Add"
+bind add
+  .click
+    lappend todos {$new_todo}
+    set new_todo ""
+watch todos
+  conf todo_list -items {$todos}
+`);
+
+    runtime.fire("todo_input", "input", { value: "Write tests" });
+    assertEquals(runtime.getState("new_todo"), "Write tests");
+    runtime.fire("add", "click");
+    runtime.flush();
+
+    assertEquals(runtime.widget("todo_list").items, ["Learn TCL-Web", "Write tests"]);
+    assertEquals(runtime.widget("todo_input").value, "");
+    assertEquals(runtime.widget("title").text, "Todos");
+});
+
+Deno.test("Headless Runtime: records the widget tree with its layout", () => {
+    const { runtime, interpreter } = setup();
+    run(interpreter, `
+c form
+  l name_label "Name"
+  i name_field -value "Ada"
+pack form -side top -fill x
+grid name_label -row 0 -column 0
+grid name_field -row 0 -column 1 -sticky ew
+conf name_label -fg red -width 80
+`);
+
+    const [form] = runtime.tree();
+    assertEquals(form.name, "form");
+    assertEquals(form.type, "CONTAINER");
+    assertEquals(form.pack.fill, "x");
+    assertEquals(form.children.map(child => child.name), ["name_label", "name_field"]);
+
+    const [label, field] = form.children;
+    assertEquals(label.style, { fg: "red", width: 80 });
+    assertEquals(label.grid.column, 0);
+    assertEquals(field.value, "Ada");
+    assertEquals(field.grid.sticky, "ew");
+});
+
+Deno.test("Headless Runtime: event fields, unbind and destroy", () => {
+    const { runtime, interpreter } = setup();
+    run(interpreter, `
+set log [list]
+canvas pad 200 100
+b go "Go"
+bind pad
+  .mousedrag
+    lappend log "{$event.x},{$event.y}"
+bind go
+  .click
+    lappend log "click {$event.widget}"
+  .unmount
+    lappend log "gone"
+`);
+
+    runtime.fire("pad", "mousedrag", { x: 10, y: 20 });
+    runtime.fire("go", "click");
+    run(interpreter, `unbind pad .mousedrag`);
+    runtime.fire("pad", "mousedrag", { x: 30, y: 40 });
+    run(interpreter, `destroy go`);
+    assertEquals(runtime.getState("log"), ["10,20", "click go", "gone"]);
+
+    assertEquals(runtime.tree().map(node => node.name), ["pad"]);
+    assertThrows(() => runtime.fire("go", "click"), Error, `no such widget`);
+    // A runtime belongs to one interpreter
+    assertThrows(() => new Interpreter(runtime), Error, "already used by another interpreter");
+});
@@ -0,0 +1,101 @@
+import { toList, toNumber, formatValue } from './v4_values.js';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const REQUEST_OPTIONS = ['headers', 'body', 'json', 'timeout', 'as'];
+const RESPONSE_TYPES = ['auto', 'json', 'text', 'blob'];
+
+/**
+ * The default transport, backed by `fetch`. A transport takes a request
+ * `{ method, url, headers, body, as, signal }` and resolves to
+ * `{ status, statusText, headers, body }`, where `headers` is a plain object
+ * and `body` has been read according to `as`.
+ * @param {object} request
+ * @returns {Promise<object>}
+ */
+export async function fetchTransport({ method, url, headers, body, as, signal }) {
+    const res = await fetch(url, { method, headers, body, signal });
+    const responseHeaders = Object.fromEntries(res.headers.entries());
+    const type = as === 'auto'
+        ? (/\bjson\b/.test(responseHeaders['content-type'] || '') ? 'json' : 'text')
+        : as;
+    let responseBody;
+    if (type === 'json') {
+        const text = await res.text();
+        responseBody = text === '' ? '' : JSON.parse(text);
+    } else {
+        responseBody = type === 'blob' ? await res.blob() : await res.text();
+    }
+    return { status: res.status, statusText: res.statusText, headers: responseHeaders, body: responseBody };
+}
+
+/**
+ * Converts `http.<verb>` options into a transport request.
+ * @param {string} method
+ * @param {string} url
+ * @param {object} options `-option value` pairs from the command.
+ * @returns {object}
+ */
+export function buildRequest(method, url, options) {
+    const request = { method, url: formatValue(url), headers: {}, body: undefined, as: 'auto', timeout: 0 };
+    for (const key in options) {
+        const option = key.slice(1);
+        if (!REQUEST_OPTIONS.includes(option)) {
+            throw new Error(`Unknown http option "${key}": must be one of ${REQUEST_OPTIONS.map(o => `-${o}`).join(', ')}`);
+        }
+    }
+    if ('-body' in options && '-json' in options) {
+        throw new Error('Cannot use both -body and -json in one request');
+    }
+
+    const headers = options['-headers'];
+    if (headers !== undefined) {
+        // A dictionary, or a list of alternating names and values
+        const pairs = headers !== null && typeof headers === 'object' && !Array.isArray(headers)
+            ? Object.entries(headers)
+            : toList(headers).flatMap((value, i, list) => i % 2 === 0 ? [[value, list[i + 1]]] : []);
+        for (const [name, value] of pairs) request.headers[name] = formatValue(value);
+    }
+    if ('-json' in options) {
+        request.body = JSON.stringify(options['-json']);
+        if (!Object.keys(request.headers).some(name => name.toLowerCase() === 'content-type')) {
+            request.headers['Content-Type'] = 'application/json';
+        }
+    } else if ('-body' in options) {
+        request.body = formatValue(options['-body']);
+    }
+    if ('-as' in options) {
+        request.as = formatValue(options['-as']);
+        if (!RESPONSE_TYPES.includes(request.as)) {
+            throw new Error(`Bad -as "${request.as}": must be one of ${RESPONSE_TYPES.join(', ')}`);
+        }
+    }
+    if ('-timeout' in options) request.timeout = toNumber(options['-timeout']);
+    return request;
+}
+
+/**
+ * Sends a request through a transport, enforcing its timeout (in
+ * milliseconds). Resolves to the response with an added `ok` flag; rejects
+ * only when no response arrives.
+ * @param {Function} transport
+ * @param {object} request As returned by buildRequest.
+ * @returns {Promise<object>}
+ */
+export function sendRequest(transport, request) {
+    const { timeout, ...rest } = request;
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const pending = Promise.resolve()
+        .then(() => transport({ ...rest, signal: controller ? controller.signal : undefined }))
+        .then(response => ({ ...response, ok: response.status >= 200 && response.status < 300 }));
+    if (!timeout) return pending;
+
+    let timer;
+    const expired = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            if (controller) controller.abort();
+            reject(new Error(`Request to ${request.url} timed out after ${timeout}ms`));
+        }, timeout);
+    });
+    return Promise.race([pending, expired]).finally(() => clearTimeout(timer));
+}
@@ -1,171 +1,464 @@
 import { Opcodes } from './v4_compiler.js';
+import { toNumber, toBoolean, toList, getPath, isNumeric, isFloat, floatValue, compareValues, formatValue } from './v4_values.js';
+import { builtins } from './v4_builtins.js';
+import { fetchTransport, buildRequest, sendRequest } from './v4_http.js';
+import { TclWebError } from './v4_errors.js';
+import { browserStorage } from './v4_storage.js';
+import TCLWebRuntime from './v4_runtime.js';
+import DOMRuntime from './v4_dom_runtime.js';
+
+const SNAPSHOT_VERSION = 1;
+
+// Returns the state saved by Interpreter#snapshot
+function parseSnapshot(json) {
+    const snapshot = JSON.parse(json);
+    if (snapshot === null || typeof snapshot !== 'object' || typeof snapshot.state !== 'object' || snapshot.state === null) {
+        throw new Error('Not a TCL-Web snapshot');
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+    return snapshot.state;
+}
 
 /**
- * A runtime that interacts with a real DOM environment.
+ * The Bytecode Interpreter (Virtual Machine).
+ * Execution state lives in a stack of call frames, each with its own
+ * instruction pointer, chunk and local variables, so procedure calls and
+ * re-entrant callbacks (bind, watch, http) never clobber their caller.
  */
-class RealTCLWebRuntime {
-    constructor(interpreter, rootElementId) {
-        this.interpreter = interpreter;
-        this.root = document.getElementById(rootElementId);
-        if (!this.root) throw new Error(`Root element #${rootElementId} not found.`);
-        
-        this.root.style.display = 'flex';
-        this.root.style.flexDirection = 'column'; // Default pack direction
-
-        this.state = new Map();
-        this.widgets = new Map();
-        this.procs = new Map();
-        this.watchers = new Map();
-    }
-
-    setState(name, value) {
-        this.state.set(name, value);
-        if (this.watchers.has(name)) {
-            this.watchers.get(name).forEach(cb => cb(value));
+export default class Interpreter {
+    /**
+     * @param {string|Element|TCLWebRuntime} target Where the app runs: a
+     *     runtime such as a HeadlessRuntime, or the root element (or its id)
+     *     for a DOMRuntime.
+     * @param {object} [options]
+     * @param {string|boolean} [options.hydrate] Make the first run reuse the
+     *     markup rendered by the server (see v4_ssr.js) instead of creating
+     *     widgets, then restore the state the server rendered, when given
+     *     here as a snapshot.
+     */
+    constructor(target, options = {}) {
+        if (target instanceof TCLWebRuntime) {
+            if (options.hydrate) throw new Error('Only a DOM root can be hydrated, not a runtime');
+            this.runtime = target;
+        } else {
+            this.runtime = new DOMRuntime(target, { hydrate: Boolean(options.hydrate) });
         }
+        this.runtime.connect(this);
+        // While the first run hydrates: the server's snapshot, or true without one
+        this.hydration = options.hydrate || null;
+        this.stack = [];
+        this.frames = [];
+        this.maxCallDepth = options.maxCallDepth ?? 1000;
+        // Sends `http.*` requests; tests can pass a stub instead of the network
+        this.transport = options.transport ?? fetchTransport;
+        // Receives errors from callbacks started outside any run (events, responses)
+        this.onError = options.onError ?? null;
+        this.disposed = false;
+        this.reads = null; // While a computed variable is calculated, the variables it reads
+        // Where `persist` saves variables; tests can pass MemoryStorage objects instead.
+        // The browser's storage is only looked up once needed (see storage)
+        this.storageAdapter = options.storage ?? null;
+
+        // Debugging (see setBreakpoint and resume)
+        this.onTrace = options.onTrace ?? null; // Called before every instruction
+        this.onPause = options.onPause ?? null; // Called with inspect() when execution pauses
+        this.breakpoints = new Set(); // Source lines
+        this.stepping = null; // 'line' or 'instruction' while single-stepping
+        this.paused = null; // { baseDepth } of the run that is paused
+        this.skipPause = false;
+        this.runDepth = 0; // Nested runs and computed blocks never pause
+        this.deferred = []; // Callbacks that arrived while paused
     }
 
-    getState(name) {
-        return this.state.get(name);
-    }
-
-    createWidget(name, type, options) {
-        let element;
-        switch (type) {
-            case 'LABEL':
-                element = document.createElement('label');
-                element.textContent = options.initialText || '';
-                break;
-            case 'BUTTON':
-                element = document.createElement('button');
-                element.textContent = options.label || '';
-                break;
-            case 'INPUT':
-                element = document.createElement('input');
-                break;
-            case 'LISTBOX':
-                element = document.createElement('ul');
-                break;
-            case 'CANVAS':
-                element = document.createElement('canvas');
-                if (options.width) element.width = options.width;
-                if (options.height) element.height = options.height;
-                break;
-            default:
-                element = document.createElement('div');
+    setBreakpoint(line) {
+        this.breakpoints.add(line);
+    }
+
+    clearBreakpoint(line) {
+        this.breakpoints.delete(line);
+    }
+
+    /**
+     * Continues a paused run until the next breakpoint, or until it ends.
+     * `step()` and `stepInstruction()` pause again after one source line or
+     * one instruction. Callbacks that arrived while paused run once the
+     * paused run has finished.
+     * @param {string|null} [stepping] 'line', 'instruction' or null.
+     */
+    resume(stepping = null) {
+        if (!this.paused) throw new Error('The interpreter is not paused');
+        const { baseDepth } = this.paused;
+        const baseStack = this.frames[baseDepth].stackBase;
+        this.paused = null;
+        this.stepping = stepping;
+        this.skipPause = true; // Do not stop again before the instruction we are paused at
+        let failure = null;
+        this.runDepth++;
+        try {
+            this.execute(baseDepth);
+        } catch (error) {
+            failure = this.toTclWebError(error);
+            this.frames.length = baseDepth;
+        } finally {
+            this.runDepth--;
         }
-        element.id = name;
-        this.widgets.set(name, element);
-        // Default to packing in the root container
-        this.root.appendChild(element);
-    }
-
-    updateWidget(name, options) {
-        const widget = this.widgets.get(name);
-        if (!widget) return;
-
-        for (const key in options) {
-            const value = options[key];
-            switch (key) {
-                case '-text': widget.textContent = value; break;
-                case '-bg': widget.style.backgroundColor = value; break;
-                case '-fg': widget.style.color = value; break;
-                case '-width': widget.style.width = `${value}px`; break;
-                case '-height': widget.style.height = `${value}px`; break;
-                case '-value': widget.value = value; break;
-                case '-items': // For listbox
-                    if (widget.tagName === 'UL') {
-                        widget.innerHTML = '';
-                        value.forEach(item => {
-                            const li = document.createElement('li');
-                            li.textContent = item;
-                            widget.appendChild(li);
-                        });
-                    }
-                    break;
-            }
+        if (this.paused) return;
+        if (!failure) this.finishHydration();
+        this.stack.length = baseStack; // Drop the finished run's result
+        this.stepping = null;
+        while (!this.paused && this.deferred.length > 0) this.deferred.shift()();
+        if (failure) this.reportError(failure);
+    }
+
+    step() {
+        this.resume('line');
+    }
+
+    stepInstruction() {
+        this.resume('instruction');
+    }
+
+    // Runs `callback` now, or after the paused run has finished
+    whenRunning(callback) {
+        if (this.paused) {
+            this.deferred.push(callback);
+        } else {
+            callback();
         }
     }
 
-    packWidget(name, options) {
-        // This is a highly simplified version of a flexbox packer
-        const widget = this.widgets.get(name);
-        if (!widget) return;
+    /**
+     * Describes where execution is, for debuggers: the frames (innermost
+     * first) with their locals, the operand stack and the global state.
+     * @returns {{location: object|null, frames: object[], stack: Array, state: object}}
+     */
+    inspect() {
+        const frames = this.frames.slice().reverse().map(frame => ({
+            proc: frame.procName,
+            scope: frame.scope,
+            ip: frame.ip,
+            location: frame.locations[frame.ip] || null,
+            locals: Object.fromEntries(frame.locals),
+        }));
+        return {
+            location: frames.length > 0 ? frames[0].location : null,
+            frames,
+            stack: [...this.stack],
+            state: Object.fromEntries(this.runtime.state),
+        };
+    }
 
-        for (const key in options) {
-            const value = options[key];
-            switch (key) {
-                case '-side': // This would be handled by the parent's flex-direction
-                    break;
-                case '-fill':
-                    if (value === 'x') widget.style.width = '100%';
-                    if (value === 'y') widget.style.height = '100%';
-                    if (value === 'both') { 
-                        widget.style.width = '100%'; 
-                        widget.style.height = '100%';
-                    }
-                    break;
-                case '-expand':
-                    if (value === 'yes') widget.style.flexGrow = '1';
-                    break;
-                case '-padx': widget.style.paddingLeft = widget.style.paddingRight = `${value}px`; break;
-                case '-pady': widget.style.paddingTop = widget.style.paddingBottom = `${value}px`; break;
-            }
+    shouldPause(frame) {
+        if (this.skipPause) {
+            this.skipPause = false;
+            return false;
         }
+        if (this.runDepth !== 1 || (this.stepping === null && this.breakpoints.size === 0)) return false;
+        if (this.stepping === 'instruction') return true;
+        // Otherwise only stop where a new source line starts
+        const loc = frame.locations[frame.ip];
+        if (!loc || loc.line === frame.line) return false;
+        return this.stepping === 'line' || this.breakpoints.has(loc.line);
     }
 
-    bindWidget(name, eventHandlers) {
-        const widget = this.widgets.get(name);
-        if (!widget) return;
-        for (const eventName in eventHandlers) {
-            widget.addEventListener(eventName, eventHandlers[eventName]);
+    /**
+     * Serializes every state variable, except computed ones, to JSON.
+     * @returns {string}
+     */
+    snapshot() {
+        const state = {};
+        for (const [name, value] of this.runtime.state) {
+            if (!this.runtime.computeds.has(name)) state[name] = value;
         }
+        return JSON.stringify({ version: SNAPSHOT_VERSION, state });
     }
 
-    watchState(varName, callback) {
-        if (!this.watchers.has(varName)) {
-            this.watchers.set(varName, []);
+    /**
+     * Sets every variable saved by `snapshot`. Watchers run as for any
+     * other change, so the UI follows the restored state.
+     * @param {string} json
+     */
+    restore(json) {
+        for (const [name, value] of Object.entries(parseSnapshot(json))) {
+            if (!this.runtime.computeds.has(name)) this.runtime.setState(name, value);
         }
-        this.watchers.get(varName).push(callback);
     }
 
-    defineProc(name, procData) {
-        this.procs.set(name, procData);
+    // Ends hydration once the first run has finished. Variables that `persist`
+    // saves keep this client's value rather than the server's.
+    finishHydration() {
+        if (this.hydration === null || this.frames.length > 0) return;
+        const snapshot = this.hydration;
+        this.hydration = null;
+        this.runtime.endHydration();
+        if (typeof snapshot !== 'string') return;
+        for (const [name, value] of Object.entries(parseSnapshot(snapshot))) {
+            if (!this.runtime.computeds.has(name) && !this.runtime.persisted.has(name)) this.runtime.setState(name, value);
+        }
     }
-}
 
-/**
- * The Bytecode Interpreter (Virtual Machine).
- * This class is identical to the previous version, but it now operates
- * on a RealTCLWebRuntime instance.
- */
-export default class Interpreter {
-    constructor(rootElementId) {
-        this.runtime = new RealTCLWebRuntime(this, rootElementId);
-        this.stack = [];
-        this.ip = 0;
+    /**
+     * Tears down everything this interpreter created. Callbacks that are
+     * still pending, such as HTTP responses, are ignored once it has run.
+     */
+    dispose() {
+        this.disposed = true;
+        this.runtime.dispose();
+    }
+
+    // Reading localStorage throws in sandboxed iframes, so apps that never
+    // use `persist` must not touch it
+    get storage() {
+        this.storageAdapter ??= browserStorage();
+        return this.storageAdapter;
+    }
+
+    get currentFrame() {
+        return this.frames[this.frames.length - 1];
     }
 
-    run(bytecode, constants) {
-        this.ip = 0;
-        while (this.ip < bytecode.length) {
-            const instruction = bytecode[this.ip];
-            const [opcode, ...operands] = instruction;
-            this.ip++;
+    /**
+     * Runs a chunk to completion in a new frame.
+     * @param {Array} bytecode
+     * @param {Array} constants
+     * @param {Map<string, *>} [locals] Variables visible only to this run.
+     * @param {Array} [locations] Source location of each instruction, as produced by the Compiler.
+     * @param {string|null} [scope] The component instance whose names the chunk uses (see qualify).
+     * @returns {*} The value given to `return`, or `''`; undefined if the
+     *     run paused at a breakpoint (see resume).
+     * @throws {TclWebError} With the location and call trace of the failing instruction.
+     */
+    run(bytecode, constants, locals = new Map(), locations = [], scope = null) {
+        if (this.paused) throw new Error('The interpreter is paused; resume it first');
+        const baseDepth = this.frames.length;
+        const baseStack = this.stack.length;
+        this.runDepth++;
+        try {
+            this.pushFrame({ bytecode, constants, locations, locals, procName: null, container: null, scope });
+            this.execute(baseDepth);
+            if (this.paused) return undefined;
+            this.finishHydration();
+            return this.stack.pop();
+        } catch (error) {
+            const tclError = this.toTclWebError(error);
+            // Unwind whatever this run left behind so later callbacks start clean
+            this.frames.length = baseDepth;
+            this.stack.length = baseStack;
+            throw tclError;
+        } finally {
+            this.runDepth--;
+        }
+    }
+
+    /**
+     * Runs a compiled block (a callback) with the given locals. Errors from
+     * callbacks that no TCL code is waiting on go to the `onError` option.
+     */
+    runBlock(block, locals = new Map(), scope = null) {
+        if (this.disposed) return;
+        if (this.paused) {
+            this.deferred.push(() => this.runBlock(block, locals, scope));
+            return;
+        }
+        try {
+            this.run(block.bytecode, block.constants, locals, block.locations, scope);
+        } catch (error) {
+            if (this.frames.length > 0) throw error;
+            this.reportError(error);
+        }
+    }
+
+    // Hands an error that no TCL code is waiting on to the `onError` option
+    reportError(error) {
+        const tclError = this.toTclWebError(error);
+        if (!this.onError) throw tclError;
+        this.onError(tclError);
+    }
+
+    /**
+     * Runs a block and records the global variables it reads.
+     * @returns {{value: *, deps: string[]}} The block's `return` value and the names read.
+     */
+    evaluate(block, scope = null) {
+        const outerReads = this.reads;
+        this.reads = new Set();
+        // Never pauses, even when a watcher recalculates it outside any run
+        this.runDepth++;
+        try {
+            const value = this.run(block.bytecode, block.constants, new Map(), block.locations, scope);
+            return { value, deps: [...this.reads] };
+        } finally {
+            this.runDepth--;
+            this.reads = outerReads;
+        }
+    }
+
+    /**
+     * Converts an error raised while executing into a TclWebError located at
+     * the current instruction, with the TCL call trace from the live frames.
+     */
+    toTclWebError(error) {
+        if (error instanceof TclWebError) return error;
+        const trace = this.frames.slice().reverse().map(frame => {
+            const loc = frame.locations[frame.ip - 1] || null;
+            return { proc: frame.procName, line: loc ? loc.line : null, column: loc ? loc.column : null };
+        });
+        const location = trace.length > 0 && trace[0].line !== null ? { line: trace[0].line, column: trace[0].column } : null;
+        return new TclWebError('RUNTIME_ERROR', error.message, location, trace);
+    }
+
+    pushFrame({ bytecode, constants, locations = [], locals, procName, container, scope = null, isProc = false }) {
+        if (this.frames.length >= this.maxCallDepth) {
+            throw new Error(`Maximum call depth of ${this.maxCallDepth} exceeded${procName ? ` in proc "${procName}"` : ''}`);
+        }
+        const containers = container === null ? [] : [container];
+        this.frames.push({ bytecode, constants, locations, locals, procName, containers, scope, isProc, ip: 0, line: null, stackBase: this.stack.length });
+    }
+
+    /**
+     * Resolves a widget or variable name used by the current frame. Code in
+     * a component body (and its callbacks) names the instance's own widgets
+     * and variables, stored as `instance::name`; a leading `::` names a
+     * global one instead.
+     */
+    qualify(name) {
+        const text = String(name);
+        if (text.startsWith('::')) return text.slice(2);
+        const { scope } = this.currentFrame;
+        return scope === null ? text : `${scope}::${text}`;
+    }
+
+    /**
+     * The container new widgets are created in: the innermost `c` body being
+     * run by this frame, or the one its caller was in when calling a proc.
+     */
+    currentContainer() {
+        const { containers } = this.currentFrame;
+        return containers.length > 0 ? containers[containers.length - 1] : null;
+    }
+
+    returnFromFrame(value) {
+        const frame = this.frames.pop();
+        this.stack.length = frame.stackBase;
+        this.stack.push(value); // The result of the caller's CALL_PROC, or of `run`
+    }
+
+    getVar(name) {
+        const { locals } = this.currentFrame;
+        if (locals.has(name)) return locals.get(name);
+        const qualified = this.qualify(name);
+        if (this.runtime.state.has(qualified) || !qualified.includes('.')) {
+            if (this.reads) this.reads.add(qualified);
+            return this.runtime.getState(qualified);
+        }
+        // Dotted access into structured values, e.g. {$http_response.0.title}
+        const [root, ...path] = name.split('.');
+        return getPath(this.getVar(root), path);
+    }
+
+    // Inside a proc every variable set is local to its frame, except `::name` globals
+    setVar(name, value) {
+        const { locals, isProc } = this.currentFrame;
+        if (locals.has(name) || (isProc && !String(name).startsWith('::'))) {
+            locals.set(name, value);
+            return;
+        }
+        const qualified = this.qualify(name);
+        if (this.runtime.computeds.has(qualified)) throw new Error(`Cannot set "${name}": it is a computed variable`);
+        this.runtime.setState(qualified, value);
+    }
+
+    callProc(procName, args) {
+        const procData = this.runtime.procs.get(procName);
+        if (!procData) {
+            if (this.runtime.components.has(procName)) return this.instantiate(procName, args);
+            throw new Error(`Procedure not found: ${procName}`);
+        }
+
+        const params = procData.args;
+        const variadic = params[params.length - 1] === 'args';
+        const required = variadic ? params.length - 1 : params.length;
+        if (args.length < required || (!variadic && args.length > required)) {
+            throw new Error(`wrong # args: should be "${[procName, ...params].join(' ')}"`);
+        }
+        const locals = new Map();
+        for (let i = 0; i < required; i++) locals.set(params[i], args[i]);
+        if (variadic) locals.set('args', args.slice(required));
+
+        const container = this.currentContainer();
+        const { bytecode, constants, locations } = procData.block;
+        this.pushFrame({ bytecode, constants, locations, locals, procName, container, isProc: true });
+    }
+
+    /**
+     * Creates an instance of a component: a container named after the
+     * instance, filled by running the component's body in a frame scoped to
+     * that instance. Each parameter becomes an instance variable set from the
+     * matching `-param value` option, or to `""` when the option is omitted.
+     */
+    instantiate(componentName, args) {
+        const { params, block } = this.runtime.components.get(componentName);
+        const [instance, ...optionArgs] = args;
+        if (instance === undefined || optionArgs.length % 2 !== 0) {
+            const usage = params.map(param => `?-${param} value?`).join(' ');
+            throw new Error(`wrong # args: should be "${`${componentName} name ${usage}`.trim()}"`);
+        }
+        const values = new Map(params.map(param => [param, '']));
+        for (let i = 0; i < optionArgs.length; i += 2) {
+            const option = String(optionArgs[i]);
+            if (!option.startsWith('-') || !values.has(option.slice(1))) {
+                const known = params.length > 0 ? `must be ${params.map(param => `-${param}`).join(', ')}` : 'it takes no options';
+                throw new Error(`Unknown option "${option}" for component "${componentName}": ${known}`);
+            }
+            values.set(option.slice(1), optionArgs[i + 1]);
+        }
+
+        const name = this.qualify(instance);
+        this.runtime.createWidget(name, 'CONTAINER', {}, this.currentContainer());
+        values.forEach((value, param) => this.runtime.setState(`${name}::${param}`, value));
+        const { bytecode, constants, locations } = block;
+        this.pushFrame({ bytecode, constants, locations, locals: new Map(), procName: componentName, container: name, scope: name });
+    }
+
+    execute(baseDepth) {
+        while (this.frames.length > baseDepth) {
+            const frame = this.currentFrame;
+            if (frame.ip >= frame.bytecode.length) {
+                this.returnFromFrame('');
+                continue;
+            }
+            if (this.shouldPause(frame)) {
+                this.paused = { baseDepth };
+                if (this.onPause) this.onPause(this.inspect());
+                return;
+            }
+            const { constants } = frame;
+            const location = frame.locations[frame.ip];
+            if (this.onTrace) {
+                this.onTrace({ depth: this.frames.length, proc: frame.procName, ip: frame.ip, instruction: frame.bytecode[frame.ip], location: location || null });
+            }
+            if (location) frame.line = location.line;
+            const [opcode, ...operands] = frame.bytecode[frame.ip++];
 
             switch (opcode) {
                 case Opcodes.PUSH_CONST:
                     this.stack.push(constants[operands[0]]);
                     break;
+                case Opcodes.POP:
+                    this.stack.pop();
+                    break;
+                case Opcodes.DUP:
+                    this.stack.push(this.stack[this.stack.length - 1]);
+                    break;
                 case Opcodes.PUSH_VAR: {
                     const varName = constants[operands[0]];
-                    this.stack.push(this.runtime.getState(varName));
+                    this.stack.push(this.getVar(varName));
                     break;
                 }
                 case Opcodes.SET_STATE: {
                     const name = this.stack.pop();
                     const value = this.stack.pop();
-                    this.runtime.setState(name, value);
+                    this.setVar(name, value);
                     break;
                 }
                 case Opcodes.BUILD_OBJ: {
@@ -180,56 +473,125 @@ export default class Interpreter {
                     break;
                 }
                 case Opcodes.CREATE_WIDGET: {
-                    const name = this.stack.pop();
+                    const name = this.qualify(this.stack.pop());
                     const type = this.stack.pop();
-                    const options = this.stack.pop();
-                    this.runtime.createWidget(name, type, options);
+                    const options = { ...this.stack.pop() };
+                    if ('-bind' in options) options['-bind'] = this.qualify(options['-bind']);
+                    this.runtime.createWidget(name, type, options, this.currentContainer());
+                    break;
+                }
+                case Opcodes.ENTER_CONTAINER: {
+                    const name = this.qualify(this.stack.pop());
+                    if (!this.runtime.isContainer(name)) throw new Error(`Not a container: ${name}`);
+                    frame.containers.push(name);
                     break;
                 }
+                case Opcodes.EXIT_CONTAINER:
+                    frame.containers.pop();
+                    break;
                 case Opcodes.UPDATE_WIDGET: {
-                    const name = this.stack.pop();
+                    const name = this.qualify(this.stack.pop());
                     const options = this.stack.pop();
                     this.runtime.updateWidget(name, options);
                     break;
                 }
                 case Opcodes.PACK_WIDGET: {
-                    const name = this.stack.pop();
+                    const name = this.qualify(this.stack.pop());
                     const options = this.stack.pop();
                     this.runtime.packWidget(name, options);
                     break;
                 }
+                case Opcodes.UNPACK_WIDGET:
+                    this.runtime.unpackWidget(this.qualify(this.stack.pop()));
+                    break;
+                case Opcodes.GRID_WIDGET: {
+                    const name = this.qualify(this.stack.pop());
+                    const options = this.stack.pop();
+                    this.runtime.gridWidget(name, options);
+                    break;
+                }
+                case Opcodes.DRAW: {
+                    const name = this.qualify(this.stack.pop());
+                    const subcommand = this.stack.pop();
+                    const options = this.stack.pop();
+                    const argCount = operands[0];
+                    const args = this.stack.splice(this.stack.length - argCount, argCount);
+                    this.stack.push(this.runtime.draw(name, subcommand, args, options));
+                    break;
+                }
+                case Opcodes.GRID_CONFIGURE: {
+                    const axis = this.stack.pop();
+                    const parent = this.stack.pop();
+                    const parentName = parent === '.' ? parent : this.qualify(parent);
+                    const index = this.stack.pop();
+                    const options = this.stack.pop();
+                    this.runtime.gridConfigure(axis, parentName, index, options);
+                    break;
+                }
                 case Opcodes.DEF_BLOCK:
                     this.stack.push(constants[operands[0]]);
                     break;
                 case Opcodes.BIND_WIDGET: {
                     const eventCount = operands[0];
-                    const widgetName = this.stack.pop();
+                    const widgetName = this.qualify(this.stack.pop());
                     const handlers = {};
                     for (let i = 0; i < eventCount; i++) {
                         const eventName = this.stack.pop().substring(1);
                         const block = this.stack.pop();
-                        handlers[eventName] = () => {
-                            this.run(block.bytecode, block.constants);
+                        // Each invocation sees its own `event` local
+                        handlers[eventName] = (event) => {
+                            this.runBlock(block, new Map([['event', event]]), frame.scope);
                         };
                     }
                     this.runtime.bindWidget(widgetName, handlers);
                     break;
                 }
                 case Opcodes.WATCH_STATE: {
-                    const varName = this.stack.pop();
+                    const varName = this.qualify(this.stack.pop());
                     const block = this.stack.pop();
                     const callback = () => {
-                        this.run(block.bytecode, block.constants);
+                        this.runBlock(block, new Map(), frame.scope);
                     };
-                    this.runtime.watchState(varName, callback);
+                    this.runtime.addWatch(varName, callback, frame.scope);
+                    break;
+                }
+                case Opcodes.DEF_COMPUTED: {
+                    const name = this.qualify(this.stack.pop());
+                    const block = this.stack.pop();
+                    const { scope } = frame;
+                    this.runtime.defineComputed(name, () => this.evaluate(block, scope), scope);
+                    break;
+                }
+                case Opcodes.PERSIST_STATE: {
+                    const varName = this.qualify(this.stack.pop());
+                    const options = this.stack.pop();
+                    this.runtime.persistState(varName, options, frame.scope);
+                    break;
+                }
+                case Opcodes.DESTROY_WIDGET:
+                    this.runtime.destroyWidget(this.qualify(this.stack.pop()));
+                    break;
+                case Opcodes.UNWATCH_STATE:
+                    this.runtime.unwatchState(this.qualify(this.stack.pop()));
+                    break;
+                case Opcodes.UNBIND_WIDGET: {
+                    const widgetName = this.qualify(this.stack.pop());
+                    const events = this.stack.splice(this.stack.length - operands[0], operands[0]);
+                    this.runtime.unbindWidget(widgetName, events.length > 0 ? events.map(event => event.substring(1)) : null);
                     break;
                 }
                 case Opcodes.CALL_PROC: {
                     const argCount = operands[0];
                     const procName = this.stack.pop();
-                    const procData = this.runtime.procs.get(procName);
-                    if (!procData) throw new Error(`Procedure not found: ${procName}`);
-                    this.run(procData.block.bytecode, procData.block.constants);
+                    const args = this.stack.splice(this.stack.length - argCount, argCount);
+                    this.callProc(procName, args);
+                    break;
+                }
+                case Opcodes.CALL_BUILTIN: {
+                    const argCount = operands[0];
+                    const builtinName = this.stack.pop();
+                    const args = this.stack.splice(this.stack.length - argCount, argCount);
+                    this.stack.push(builtins[builtinName](this, args));
                     break;
                 }
                 case Opcodes.DEF_PROC: {
@@ -241,28 +603,88 @@ export default class Interpreter {
                     this.runtime.defineProc(procName, { args: args.reverse(), block });
                     break;
                 }
-                case Opcodes.HTTP_GET: {
+                case Opcodes.DEF_COMPONENT: {
+                    const paramCount = operands[0];
+                    const componentName = this.stack.pop();
+                    const params = this.stack.splice(this.stack.length - paramCount, paramCount).map(String);
+                    const block = this.stack.pop();
+                    this.runtime.defineComponent(componentName, { params, block });
+                    break;
+                }
+                case Opcodes.HTTP_REQUEST: {
                     const callbackCount = operands[0];
+                    const method = this.stack.pop();
                     const url = this.stack.pop();
+                    const options = this.stack.pop();
                     const callbacks = {};
                     for (let i = 0; i < callbackCount; i++) {
                         const callbackName = this.stack.pop();
                         const block = this.stack.pop();
                         callbacks[callbackName] = block;
                     }
-                    fetch(url).then(res => res.json()).then(data => {
-                        this.runtime.setState('http_response', data);
-                        if (callbacks['.callback']) {
-                            const cb = callbacks['.callback'];
-                            this.run(cb.bytecode, cb.constants);
-                        }
-                    }).catch(err => {
-                        this.runtime.setState('error', err);
-                        if (callbacks['.error']) {
-                            const cb = callbacks['.error'];
-                            this.run(cb.bytecode, cb.constants);
-                        }
-                    });
+                    this.httpRequest(buildRequest(method, url, options), callbacks, frame.scope);
+                    break;
+                }
+                case Opcodes.ADD:
+                case Opcodes.SUB:
+                case Opcodes.MUL:
+                case Opcodes.DIV:
+                case Opcodes.MOD: {
+                    const right = this.stack.pop();
+                    const left = this.stack.pop();
+                    this.stack.push(this.arithmetic(opcode, left, right));
+                    break;
+                }
+                case Opcodes.NEG: {
+                    const value = this.stack.pop();
+                    this.stack.push(isFloat(value) ? floatValue(-toNumber(value)) : -toNumber(value));
+                    break;
+                }
+                case Opcodes.NOT:
+                    this.stack.push(!toBoolean(this.stack.pop()));
+                    break;
+                case Opcodes.EQ:
+                case Opcodes.NE:
+                case Opcodes.LT:
+                case Opcodes.LE:
+                case Opcodes.GT:
+                case Opcodes.GE: {
+                    const right = this.stack.pop();
+                    const left = this.stack.pop();
+                    this.stack.push(this.compare(opcode, left, right));
+                    break;
+                }
+                case Opcodes.STR_EQ:
+                case Opcodes.STR_NE: {
+                    const right = formatValue(this.stack.pop());
+                    const left = formatValue(this.stack.pop());
+                    this.stack.push(opcode === Opcodes.STR_EQ ? left === right : left !== right);
+                    break;
+                }
+                case Opcodes.CONCAT: {
+                    const parts = this.stack.splice(this.stack.length - operands[0], operands[0]);
+                    this.stack.push(parts.map(formatValue).join(''));
+                    break;
+                }
+                case Opcodes.RETURN:
+                    this.returnFromFrame(this.stack.pop());
+                    break;
+                case Opcodes.JUMP:
+                    frame.ip = operands[0];
+                    break;
+                case Opcodes.JUMP_IF_FALSE:
+                    if (!toBoolean(this.stack.pop())) frame.ip = operands[0];
+                    break;
+                case Opcodes.ITER_START:
+                    this.stack.push({ items: toList(this.stack.pop()), index: 0 });
+                    break;
+                case Opcodes.ITER_NEXT: {
+                    const iterator = this.stack[this.stack.length - 1];
+                    if (iterator.index >= iterator.items.length) {
+                        frame.ip = operands[0];
+                    } else {
+                        this.stack.push(iterator.items[iterator.index++]);
+                    }
                     break;
                 }
                 default:
@@ -270,4 +692,87 @@ export default class Interpreter {
             }
         }
     }
+
+    /**
+     * Sends a request and runs `.callback` for 2xx responses or `.error`
+     * otherwise. Each callback gets its own locals, so concurrent requests
+     * never overwrite each other's results.
+     * @returns {Promise<void>} Settles once the callback has run.
+     */
+    httpRequest(request, callbacks, scope = null) {
+        const runCallback = (block, locals) => {
+            if (block) this.runBlock(block, new Map(Object.entries(locals)), scope);
+        };
+        // Without an `.error` handler a failure is reported where the request was sent
+        const origin = this.toTclWebError(new Error(''));
+        const fail = (error, response) => {
+            if (callbacks['.error']) {
+                runCallback(callbacks['.error'], { error, response });
+            } else if (!this.disposed) {
+                this.reportError(new TclWebError('RUNTIME_ERROR', error.message, origin.location, origin.trace));
+            }
+        };
+        return sendRequest(this.transport, request).then(response => {
+            if (response.ok) {
+                runCallback(callbacks['.callback'], { response, http_response: response.body });
+            } else {
+                const message = `${request.method} ${request.url} returned ${response.status} ${response.statusText || ''}`.trim();
+                fail({ message, status: response.status, body: response.body }, response);
+            }
+        }, err => {
+            fail({ message: err.message, status: 0, body: '' }, '');
+        }).catch(error => {
+            // Without `onError`, reportError throws, and nothing awaits the response
+            console.error(error instanceof TclWebError ? error.format() : error);
+        });
+    }
+
+    // Like Tcl, the result is a float if either operand is (`7.0`, `{7.0}` or
+    // `2.5`), and otherwise an integer
+    arithmetic(opcode, leftValue, rightValue) {
+        const left = toNumber(leftValue);
+        const right = toNumber(rightValue);
+        if (isFloat(leftValue) || isFloat(rightValue)) {
+            if ((opcode === Opcodes.DIV || opcode === Opcodes.MOD) && right === 0) throw new Error('Division by zero');
+            return floatValue(this.calculate(opcode, left, right));
+        }
+        switch (opcode) {
+            // Integers divide to an integer, rounding down, and the remainder
+            // takes the sign of the divisor
+            case Opcodes.DIV:
+                if (right === 0) throw new Error('Division by zero');
+                return Math.floor(left / right);
+            case Opcodes.MOD:
+                if (right === 0) throw new Error('Division by zero');
+                return ((left % right) + right) % right;
+            default:
+                return this.calculate(opcode, left, right);
+        }
+    }
+
+    calculate(opcode, left, right) {
+        switch (opcode) {
+            case Opcodes.ADD: return left + right;
+            case Opcodes.SUB: return left - right;
+            case Opcodes.MUL: return left * right;
+            case Opcodes.DIV: return left / right;
+            case Opcodes.MOD: return left % right;
+        }
+    }
+
+    compare(opcode, left, right) {
+        if (opcode === Opcodes.EQ || opcode === Opcodes.NE) {
+            const equal = isNumeric(left) && isNumeric(right)
+                ? Number(left) === Number(right)
+                : formatValue(left) === formatValue(right);
+            return opcode === Opcodes.EQ ? equal : !equal;
+        }
+        const order = compareValues(left, right);
+        switch (opcode) {
+            case Opcodes.LT: return order < 0;
+            case Opcodes.LE: return order <= 0;
+            case Opcodes.GT: return order > 0;
+            case Opcodes.GE: return order >= 0;
+        }
+    }
 }
@@ -1,21 +1,26 @@
 import {
   assertEquals,
   assertExists,
+  assertStringIncludes,
+  assertThrows,
 } from "https://deno.land/std@0.224.0/testing/asserts.ts";
 import { DOMParser } from "https://deno.land/x/deno_dom/deno-dom-wasm.ts";
 
 import Parser from "./v4_parser.js";
 import Compiler from "./v4_compiler.js";
 import Interpreter from "./v4_interpreter.js";
+import DOMRuntime from "./v4_dom_runtime.js";
+import { TclWebError } from "./v4_errors.js";
+import { MemoryStorage } from "./v4_storage.js";
 
 // Helper to set up a clean DOM and interpreter for each test
-function setup() {
+function setup(options) {
     const document  = new DOMParser().parseFromString(
         `<div id="root"></div>`,
         "text/html",
     );
     globalThis.document = document;
-    const interpreter = new Interpreter("root");
+    const interpreter = new Interpreter("root", options);
     return { interpreter, document };
 }
 
@@ -23,8 +28,8 @@ function run(interpreter, code) {
     const parser = new Parser();
     const compiler = new Compiler();
     const ast = parser.parse(code);
-    const { bytecode, constants } = compiler.compile(ast);
-    interpreter.run(bytecode, constants);
+    const { bytecode, constants, locations } = compiler.compile(ast);
+    return interpreter.run(bytecode, constants, new Map(), locations);
 }
 
 Deno.test("Real Interpreter: Widget Creation", () => {
@@ -91,3 +96,1331 @@ watch my_var
 
     assertEquals(label.textContent, "Updated by watcher");
 });
+
+Deno.test("Real Interpreter: Command Substitution", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set a [set b [set c "deep"]]
+set d [l my_label "Hi"]
+`);
+
+    assertEquals(interpreter.runtime.getState("a"), "deep");
+    assertEquals(interpreter.runtime.getState("b"), "deep");
+    assertEquals(interpreter.runtime.getState("d"), "");
+    assertEquals(interpreter.stack, []);
+});
+
+Deno.test("Real Interpreter: Procedure call inside substitution", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+proc touch name
+  set ::touched 1
+set result [touch "x"]
+`);
+
+    assertEquals(interpreter.runtime.getState("touched"), 1);
+    assertEquals(interpreter.runtime.getState("result"), "");
+    assertEquals(interpreter.stack, []);
+});
+
+Deno.test("Real Interpreter: Arithmetic with expr", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set count "4"
+set count [expr {$count} + 1]
+set scaled [expr ({$count} - 1) * 2.5 / 2]
+set remainder [expr {$count} % 3]
+set negated [expr -{$count}]
+`);
+
+    assertEquals(interpreter.runtime.getState("count"), 5);
+    assertEquals(interpreter.runtime.getState("scaled"), "5.0");
+    assertEquals(interpreter.runtime.getState("remainder"), 2);
+    assertEquals(interpreter.runtime.getState("negated"), -5);
+});
+
+Deno.test("Real Interpreter: Comparison and boolean expr", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set name "bob"
+set a [expr {$name} == "bob" && !(3 < 2)]
+set b [expr "10" > 9 || false]
+set c [expr "abc" < "abd"]
+set d [expr {$name} ne "alice"]
+set e [expr 2 >= 3]
+`);
+
+    assertEquals(interpreter.runtime.getState("a"), true);
+    assertEquals(interpreter.runtime.getState("b"), true);
+    assertEquals(interpreter.runtime.getState("c"), true);
+    assertEquals(interpreter.runtime.getState("d"), true);
+    assertEquals(interpreter.runtime.getState("e"), false);
+});
+
+Deno.test("Real Interpreter: && and || short-circuit", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set x 0
+set calls 0
+proc touch
+  set ::calls [expr {$::calls} + 1]
+  return true
+set guarded [expr {$x} != 0 && 10 / {$x} > 1]
+set either [expr {$x} == 0 || 10 / {$x} > 1]
+set skipped [expr false && [touch]]
+set ran [expr false || [touch]]
+`);
+
+    assertEquals(interpreter.runtime.getState("guarded"), false);
+    assertEquals(interpreter.runtime.getState("either"), true);
+    assertEquals(interpreter.runtime.getState("ran"), true);
+    assertEquals(interpreter.runtime.getState("calls"), 1);
+});
+
+Deno.test("Real Interpreter: integer division and remainder", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set a [expr 7 / 2]
+set b [expr -7 / 2]
+set c [expr -7 % 3]
+set d [expr 7 % -3]
+set e [expr 7.5 / 2]
+set f [expr 7.0 / 2]
+set g [expr {7.0} / 2]
+set h [expr 1.5 + 2.5]
+set i [expr -{$h}]
+set j 2.0
+set k [expr {$j} * 3]
+`);
+
+    assertEquals(["a", "b", "c", "d", "e"].map(name => interpreter.runtime.getState(name)), [3, -4, 2, -2, 3.75]);
+    // An operand written as a float makes the result a float, even a whole one
+    assertEquals(["f", "g", "h", "i", "j", "k"].map(name => interpreter.runtime.getState(name)), [3.5, 3.5, "4.0", "-4.0", "2.0", "6.0"]);
+});
+
+Deno.test("Real Interpreter: expr type errors", () => {
+    const { interpreter } = setup();
+    assertThrows(() => run(interpreter, `set x [expr "abc" + 1]`), Error, "Expected a number");
+    assertThrows(() => run(interpreter, `set x [expr 1 / 0]`), Error, "Division by zero");
+});
+
+Deno.test("Real Interpreter: if/elseif/else", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+proc classify
+  if {$n} > 10
+    set ::size "big"
+  elseif {$n} > 0
+    set ::size "small"
+  else
+    set ::size "none"
+set n 42
+classify
+set big {$size}
+set n 3
+classify
+set small {$size}
+set n 0
+classify
+`);
+
+    assertEquals(interpreter.runtime.getState("big"), "big");
+    assertEquals(interpreter.runtime.getState("small"), "small");
+    assertEquals(interpreter.runtime.getState("size"), "none");
+});
+
+Deno.test("Real Interpreter: while loop with break and continue", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set i 0
+set total 0
+while true
+  set i [expr {$i} + 1]
+  if {$i} % 2 == 0
+    continue
+  if {$i} > 7
+    break
+  set total [expr {$total} + {$i}]
+`);
+
+    assertEquals(interpreter.runtime.getState("i"), 9);
+    assertEquals(interpreter.runtime.getState("total"), 16); // 1 + 3 + 5 + 7
+    assertEquals(interpreter.stack, []);
+});
+
+Deno.test("Real Interpreter: foreach over a list", () => {
+    const { interpreter } = setup();
+    interpreter.runtime.setState("posts", ["a", "b", "skip", "c", "stop", "d"]);
+    run(interpreter, `
+set count 0
+foreach post {$posts}
+  if {$post} eq "skip"
+    continue
+  if {$post} eq "stop"
+    break
+  set count [expr {$count} + 1]
+`);
+
+    assertEquals(interpreter.runtime.getState("count"), 3);
+    assertEquals(interpreter.runtime.getState("post"), "stop");
+    assertEquals(interpreter.stack, []);
+});
+
+Deno.test("Real Interpreter: proc return values and recursion", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+proc fact n
+  if {$n} <= 1
+    return 1
+  return [expr {$n} * [fact [expr {$n} - 1]]]
+set result [fact 5]
+`);
+
+    assertEquals(interpreter.runtime.getState("result"), 120);
+    assertEquals(interpreter.stack, []);
+    assertEquals(interpreter.frames, []);
+});
+
+Deno.test("Real Interpreter: parameters shadow global state", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set name "global"
+proc greet name
+  set name "changed {$name}"
+  set ::greeted {$name}
+greet "local"
+`);
+
+    assertEquals(interpreter.runtime.getState("name"), "global");
+    assertEquals(interpreter.runtime.getState("greeted"), "changed local");
+});
+
+Deno.test("Real Interpreter: variables set in a proc are local to its frame", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set total "global"
+proc sum_to n
+  set total 0
+  foreach i [list 1 2 3]
+    set total [expr {$total} + {$i}]
+  if {$n} > 0
+    set total [expr {$total} + [sum_to [expr {$n} - 1]]]
+  return {$total}
+set result [sum_to 2]
+`);
+
+    // Each recursive call has its own total, and nothing leaks into global state
+    assertEquals(interpreter.runtime.getState("result"), 18);
+    assertEquals(interpreter.runtime.getState("total"), "global");
+    assertEquals(interpreter.runtime.state.has("i"), false);
+});
+
+Deno.test("Real Interpreter: caller resumes after proc and callbacks", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+l status "idle"
+watch count
+  conf status -text "watched"
+proc bump
+  set ::count 1
+  return "bumped"
+set before "yes"
+set result [bump]
+set after "yes"
+`);
+    interpreter.runtime.flush();
+
+    assertEquals(interpreter.runtime.getState("result"), "bumped");
+    assertEquals(interpreter.runtime.getState("after"), "yes");
+    assertEquals(document.getElementById("status").textContent, "watched");
+    assertEquals(interpreter.stack, []);
+});
+
+Deno.test("Real Interpreter: variadic args parameter", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+proc collect first args
+  return {$args}
+set rest [collect 1 2 3]
+`);
+
+    assertEquals(interpreter.runtime.getState("rest"), [2, 3]);
+});
+
+Deno.test("Real Interpreter: proc arity errors", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+proc greet first last
+  return "hi"
+`);
+    assertThrows(() => run(interpreter, `greet "a"`), Error, 'wrong # args: should be "greet first last"');
+    assertThrows(() => run(interpreter, `greet "a" "b" "c"`), Error, "wrong # args");
+    assertEquals(interpreter.frames, []);
+    assertEquals(interpreter.stack, []);
+});
+
+Deno.test("Real Interpreter: max recursion depth", () => {
+    const { interpreter } = setup({ maxCallDepth: 50 });
+    assertThrows(() => run(interpreter, `
+proc forever
+  forever
+forever
+`), Error, 'Maximum call depth of 50 exceeded in proc "forever"');
+    assertEquals(interpreter.frames, []);
+});
+
+Deno.test("Real Interpreter: String interpolation", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+l greeting "Hello"
+set user_name "Alice"
+set todos "a b c"
+watch user_name
+  conf greeting -text "Hello, {$user_name}! You have [llen {$todos}] todos \\{not a var\\}"
+proc llen items
+  set count 0
+  foreach item {$items}
+    set count [expr {$count} + 1]
+  return {$count}
+set user_name "Bob"
+`);
+    interpreter.runtime.flush();
+
+    assertEquals(
+        document.getElementById("greeting").textContent,
+        "Hello, Bob! You have 3 todos {not a var}",
+    );
+});
+
+Deno.test("Real Interpreter: Container hierarchy", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+c app
+  l title "My Todo List"
+  listbox todo_list
+  c input_area
+    i todo_input
+    b add_button "Add Todo"
+l footer "outside"
+`);
+
+    const app = document.getElementById("app");
+    assertEquals(app.tagName, "DIV");
+    assertEquals(app.parentNode.id, "root");
+    assertEquals([...app.children].map(el => el.id), ["title", "todo_list", "input_area"]);
+    assertEquals(
+        [...document.getElementById("input_area").children].map(el => el.id),
+        ["todo_input", "add_button"],
+    );
+    assertEquals(document.getElementById("footer").parentNode.id, "root");
+    assertEquals(interpreter.runtime.parents.get("add_button"), "input_area");
+    assertEquals(interpreter.runtime.parents.get("input_area"), "app");
+    assertEquals(interpreter.runtime.children("app"), ["title", "todo_list", "input_area"]);
+});
+
+Deno.test("Real Interpreter: pack orders children within their parent", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+c panel
+  l first "1"
+  l second "2"
+l outside "x"
+pack second -side top
+pack first -side top
+`);
+
+    assertEquals([...document.getElementById("panel").children].map(el => el.id), ["second", "first"]);
+    assertEquals(document.getElementById("outside").parentNode.id, "root");
+});
+
+Deno.test("Real Interpreter: procs build widgets in the caller's container", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+proc make_row name
+  l {$name} "row"
+c list
+  make_row row_a
+make_row row_b
+`);
+
+    assertEquals(document.getElementById("row_a").parentNode.id, "list");
+    assertEquals(document.getElementById("row_b").parentNode.id, "root");
+});
+
+Deno.test("Real Interpreter: break and continue leave the containers of the loop", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+c outer
+  foreach v [list a b]
+    c "box_{$v}"
+      c "inner_{$v}"
+        if {$v} eq "a"
+          continue
+        l "label_{$v}" "x"
+      break
+  l after_loop "y"
+foreach v [list c]
+  c "box_{$v}"
+    break
+l after "z"
+`);
+
+    const parent = id => document.getElementById(id).parentNode.id;
+    assertEquals(parent("box_a"), "outer");
+    assertEquals(parent("box_b"), "outer");
+    assertEquals(parent("inner_b"), "box_b");
+    assertEquals(parent("label_b"), "inner_b");
+    assertEquals(parent("after_loop"), "outer");
+    assertEquals(parent("box_c"), "root");
+    assertEquals(parent("after"), "root");
+});
+
+Deno.test("Real Interpreter: only containers can have children", () => {
+    const { interpreter } = setup();
+    run(interpreter, `l not_a_container "x"`);
+    assertThrows(
+        () => interpreter.runtime.createWidget("inner", "LABEL", {}, "not_a_container"),
+        Error,
+        "not a container",
+    );
+});
+
+Deno.test("Real Interpreter: input -bind syncs both ways", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+set new_todo_text "draft"
+set echo ""
+watch new_todo_text
+  set echo "typed {$new_todo_text}"
+i todo_input -bind new_todo_text
+b add_button "Add"
+bind add_button
+  .click
+    set new_todo_text ""
+`);
+
+    const input = document.getElementById("todo_input");
+    assertEquals(input.tagName, "INPUT");
+    assertEquals(input.value, "draft");
+
+    // Typing updates the state (and, once flushed, its watchers)
+    input.value = "buy milk";
+    input.dispatchEvent(new Event("input"));
+    assertEquals(interpreter.runtime.getState("new_todo_text"), "buy milk");
+    interpreter.runtime.flush();
+    assertEquals(interpreter.runtime.getState("echo"), "typed buy milk");
+
+    // State changes flow back into the element
+    document.getElementById("add_button").dispatchEvent(new Event("click"));
+    interpreter.runtime.flush();
+    assertEquals(input.value, "");
+});
+
+Deno.test("Real Interpreter: -bind adopts the widget value for unset variables", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `i name_input -value "Alice" -bind user_name`);
+
+    assertEquals(document.getElementById("name_input").value, "Alice");
+    assertEquals(interpreter.runtime.getState("user_name"), "Alice");
+});
+
+Deno.test("Real Interpreter: -bind requires a value-bearing widget", () => {
+    const { interpreter } = setup();
+    assertThrows(() => run(interpreter, `listbox items -bind selection`), Error, "has no value to bind");
+});
+
+Deno.test("Real Interpreter: Todo App with list builtins", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+set todos [list "Learn TCL-Web" "Build an app"]
+set new_todo_text ""
+c app
+  listbox todo_list
+  i todo_input -bind new_todo_text
+  b add_button "Add Todo"
+conf todo_list -items {$todos}
+bind add_button
+  .click
+    lappend todos {$new_todo_text}
+    set new_todo_text ""
+watch todos
+  conf todo_list -items {$todos}
+`);
+
+    const input = document.getElementById("todo_input");
+    input.value = "Ship it";
+    input.dispatchEvent(new Event("input"));
+    document.getElementById("add_button").dispatchEvent(new Event("click"));
+    interpreter.runtime.flush();
+
+    const items = [...document.getElementById("todo_list").children].map(li => li.textContent);
+    assertEquals(items, ["Learn TCL-Web", "Build an app", "Ship it"]);
+    assertEquals(input.value, "");
+});
+
+Deno.test("Real Interpreter: Dotted access into structured values", () => {
+    const { interpreter } = setup();
+    interpreter.runtime.setState("http_response", [{ title: "First", tags: ["a", "b"] }]);
+    run(interpreter, `
+set first {$http_response.0.title}
+set tag {$http_response.0.tags.1}
+set missing {$http_response.3.title}
+set titles [json extract "title" from {$http_response}]
+set count [llength {$titles}]
+`);
+
+    assertEquals(interpreter.runtime.getState("first"), "First");
+    assertEquals(interpreter.runtime.getState("tag"), "b");
+    assertEquals(interpreter.runtime.getState("missing"), undefined);
+    assertEquals(interpreter.runtime.getState("titles"), ["First"]);
+    assertEquals(interpreter.runtime.getState("count"), 1);
+});
+
+// Describes the packed layout of an element as nested [direction, children] arrays
+function layoutOf(element) {
+    return [...element.children].map(child =>
+        child.id ? child.id : [child.style.flexDirection, layoutOf(child)]
+    );
+}
+
+Deno.test("Real Interpreter: pack with mixed sides nests cavities", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+c app
+  l title "Title"
+  b ok "OK"
+  b cancel "Cancel"
+  l status "Status"
+  listbox items
+pack title -side top
+pack status -side bottom
+pack ok -side left
+pack cancel -side right
+pack items -side top -fill both -expand yes
+`);
+
+    const app = document.getElementById("app");
+    assertEquals(app.style.flexDirection, "column");
+    assertEquals(layoutOf(app), [
+        "title",
+        ["row", ["ok", ["column", ["items"]], "cancel"]],
+        "status",
+    ]);
+    const items = document.getElementById("items");
+    assertEquals(items.style.flex, "1 1 auto");
+    assertEquals(items.style.alignSelf, "stretch");
+});
+
+Deno.test("Real Interpreter: pack bottom slaves stack from the end", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+c app
+  l a "a"
+  l b "b"
+  l c "c"
+pack a -side bottom
+pack b -side bottom
+pack c -side top
+`);
+
+    // a was packed first, so it is closest to the bottom edge
+    const layout = layoutOf(document.getElementById("app"));
+    assertEquals(layout[0], "c");
+    assertEquals(layout.slice(2), ["b", "a"]);
+    assertEquals(layout[1][1], []); // the unclaimed part of the cavity
+});
+
+Deno.test("Real Interpreter: pack anchor, padding and fill", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+b left_button "L"
+b filled "F"
+b parcel "P"
+pack left_button -side top -anchor w -padx 4 -pady 2 -ipadx 10 -ipady 5
+pack filled -side top -fill x
+pack parcel -side top -expand yes -anchor se
+`);
+
+    const button = document.getElementById("left_button");
+    assertEquals(button.style.alignSelf, "flex-start");
+    assertEquals(button.style.margin, "2px 4px");
+    assertEquals(button.style.padding, "5px 10px");
+    assertEquals(document.getElementById("filled").style.alignSelf, "stretch");
+
+    // Expanding without filling puts the widget in a parcel that takes the space
+    const parcel = document.getElementById("parcel");
+    assertEquals(parcel.style.alignSelf, "flex-end");
+    assertEquals(parcel.parentNode.style.flex, "1 1 auto");
+    assertEquals(parcel.parentNode.style.justifyContent, "flex-end");
+});
+
+Deno.test("Real Interpreter: repack keeps order and merges options; pack forget", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+l a "a"
+l b "b"
+l c "c"
+pack a -side top -anchor w
+pack b -side top
+pack c -side top
+pack a -fill x
+pack forget b
+`);
+
+    const root = document.getElementById("root");
+    assertEquals(layoutOf(root), ["a", "c"]);
+    assertEquals(document.getElementById("a").style.alignSelf, "stretch");
+    assertEquals(interpreter.runtime.packInfo.get("a").anchor, "w");
+    assertEquals(document.getElementById("b"), null);
+
+    run(interpreter, `pack b -side left`);
+    assertEquals(layoutOf(root), ["a", "c", ["row", ["b"]]]);
+});
+
+Deno.test("Real Interpreter: pack rejects unknown options and values", () => {
+    const { interpreter } = setup();
+    run(interpreter, `l a "a"`);
+    assertThrows(() => run(interpreter, `pack a -sid top`), Error, 'Unknown pack option "-sid"');
+    assertThrows(() => run(interpreter, `pack a -side middle`), Error, 'Bad -side "middle"');
+});
+
+Deno.test("Real Interpreter: grid places widgets in cells", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+c form
+  l name_label "Name"
+  i name_input
+  b submit "Save"
+grid name_label -row 0 -column 0 -sticky w -padx 4
+grid name_input -row 0 -column 1 -sticky ew
+grid submit -column 0 -columnspan 2 -sticky nsew
+grid columnconfigure form 1 -weight 1 -minsize 100
+`);
+
+    const form = document.getElementById("form");
+    assertEquals(form.style.display, "grid");
+    assertEquals(form.style.gridTemplateColumns, "minmax(0px, auto) minmax(100px, 1fr)");
+    assertEquals(form.style.gridTemplateRows, "minmax(0px, auto) minmax(0px, auto)");
+
+    const label = document.getElementById("name_label");
+    assertEquals(label.style.gridRow, "1 / span 1");
+    assertEquals(label.style.gridColumn, "1 / span 1");
+    assertEquals(label.style.justifySelf, "start");
+    assertEquals(label.style.alignSelf, "center");
+    assertEquals(label.style.margin, "0px 4px");
+
+    assertEquals(document.getElementById("name_input").style.justifySelf, "stretch");
+
+    // Without -row the widget goes on the next free row
+    const submit = document.getElementById("submit");
+    assertEquals(submit.style.gridRow, "2 / span 1");
+    assertEquals(submit.style.gridColumn, "1 / span 2");
+    assertEquals(submit.style.alignSelf, "stretch");
+});
+
+Deno.test("Real Interpreter: grid and pack cannot share a parent", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+l a "a"
+l b "b"
+grid a -row 0 -column 0
+`);
+    assertThrows(() => run(interpreter, `pack b`), Error, "already has slaves managed by grid");
+    assertThrows(() => run(interpreter, `grid a -sticky up`), Error, 'Bad -sticky "up"');
+    assertThrows(() => run(interpreter, `grid a -weight 1`), Error, 'Unknown grid option "-weight"');
+    assertThrows(() => run(interpreter, `grid columnconfigure a 0 -weight 1`), Error, "Not a container: a");
+});
+
+Deno.test("Real Interpreter: canvas draw keeps a list of items", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+canvas pad 400 300 -bg white
+set dot [draw pad circle 10 20 5 -fill red]
+set box [draw pad rect 0 0 50 40 -stroke blue -width 2]
+draw pad polyline 0 0 10 10 20 0
+draw pad text 5 5 "Hello {$dot}"
+draw pad move {$dot} 5 -10
+draw pad config {$box} -fill yellow
+draw pad delete 3
+`);
+
+    const pad = document.getElementById("pad");
+    assertEquals(pad.tagName, "CANVAS");
+    assertEquals(pad.width, 400);
+    assertEquals(pad.height, 300);
+    assertEquals(pad.style.backgroundColor, "white");
+
+    assertEquals(interpreter.runtime.getState("dot"), 1);
+    const items = interpreter.runtime.scenes.get("pad").items;
+    assertEquals([...items.keys()], [1, 2, 4]);
+    assertEquals(items.get(1).coords, [15, 10, 5]);
+    assertEquals(items.get(2).options, { stroke: "blue", width: 2, fill: "yellow" });
+    assertEquals(items.get(4).text, "Hello 1");
+
+    run(interpreter, `draw pad clear`);
+    assertEquals(items.size, 0);
+});
+
+Deno.test("Real Interpreter: draw errors", () => {
+    const { interpreter } = setup();
+    run(interpreter, `canvas pad 100 100\nl title "Title"`);
+    assertThrows(() => run(interpreter, `draw title clear`), Error, 'Cannot draw on "title": not a canvas');
+    assertThrows(() => run(interpreter, `draw pad circle 1 2`), Error, 'should be "draw pad circle x y radius"');
+    assertThrows(() => run(interpreter, `draw pad star 1 2`), Error, 'Unknown draw subcommand "star"');
+    assertThrows(() => run(interpreter, `draw pad line 0 0 1 1 -color red`), Error, 'Unknown draw option "-color"');
+    assertThrows(() => run(interpreter, `draw pad delete 7`), Error, 'No item "7" on canvas "pad"');
+});
+
+// Dispatches a DOM event carrying mouse or keyboard fields
+function fire(element, type, fields = {}) {
+    const event = new Event(type, { bubbles: true });
+    Object.assign(event, fields);
+    element.dispatchEvent(event);
+}
+
+Deno.test("Real Interpreter: bind handlers see the event", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+i name_input
+bind name_input
+  .keydown
+    set last_key "{$event.key} {$event.shift} {$event.value} {$event.widget}"
+  .click
+    set clicked_at [list {$event.x} {$event.y} {$event.button}]
+`);
+
+    const input = document.getElementById("name_input");
+    input.value = "Ada";
+    fire(input, "keydown", { key: "A", shiftKey: true });
+    assertEquals(interpreter.runtime.getState("last_key"), "A true Ada name_input");
+
+    fire(input, "click", { clientX: 12, clientY: 7, button: 0 });
+    assertEquals(interpreter.runtime.getState("clicked_at"), [12, 7, 0]);
+    // The event variable only exists while the handler runs
+    assertEquals(interpreter.runtime.state.has("event"), false);
+});
+
+Deno.test("Real Interpreter: mousedrag fires while the button is held", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+canvas pad 100 100
+set points [list]
+bind pad
+  .mousedrag
+    lappend points {$event.x}
+`);
+
+    const pad = document.getElementById("pad");
+    fire(pad, "mousemove", { clientX: 1 });
+    fire(pad, "mousedown", { clientX: 2 });
+    fire(pad, "mousemove", { clientX: 3 });
+    fire(document, "mouseup", { clientX: 3 });
+    fire(pad, "mousemove", { clientX: 4 });
+
+    assertEquals(interpreter.runtime.getState("points"), [2, 3]);
+});
+
+// A transport that answers from a table of "METHOD url" -> response and records requests
+function stubTransport(routes) {
+    const requests = [];
+    const transport = (request) => {
+        requests.push(request);
+        const route = routes[`${request.method} ${request.url}`];
+        if (!route) return Promise.reject(new Error("connection refused"));
+        return Promise.resolve({ statusText: "", headers: {}, ...route });
+    };
+    return { transport, requests };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+Deno.test("Real Interpreter: http requests through a transport", async () => {
+    const { transport, requests } = stubTransport({
+        "GET /posts": { status: 200, headers: { "x-total": "2" }, body: [{ title: "A" }, { title: "B" }] },
+        "POST /posts": { status: 201, body: { id: 3 } },
+    });
+    const { interpreter } = setup({ transport });
+    run(interpreter, `
+http.get "/posts" -headers [dict create Accept application/json]
+  .callback
+    set titles [json extract "title" from {$http_response}]
+    set total {$response.headers.x-total}
+http.post "/posts" -json [dict create title C]
+  .callback
+    set created "{$response.status} {$response.body.id}"
+`);
+    await settle();
+
+    assertEquals(interpreter.runtime.getState("titles"), ["A", "B"]);
+    assertEquals(interpreter.runtime.getState("total"), "2");
+    assertEquals(interpreter.runtime.getState("created"), "201 3");
+    assertEquals(requests[0].headers, { Accept: "application/json" });
+    assertEquals(requests[1].body, '{"title":"C"}');
+    assertEquals(requests[1].headers, { "Content-Type": "application/json" });
+    // Results are callback locals, not shared globals
+    assertEquals(interpreter.runtime.state.has("http_response"), false);
+});
+
+Deno.test("Real Interpreter: http errors and status codes go to .error", async () => {
+    const { transport } = stubTransport({
+        "DELETE /posts/1": { status: 404, statusText: "Not Found", body: "missing" },
+    });
+    const { interpreter } = setup({ transport });
+    run(interpreter, `
+http.delete "/posts/1"
+  .callback
+    set result "ok"
+  .error
+    set result "{$error.status} {$error.body} {$response.status}"
+http.put "/offline" -body "x"
+  .error
+    set offline {$error.message}
+`);
+    await settle();
+
+    assertEquals(interpreter.runtime.getState("result"), "404 missing 404");
+    assertEquals(interpreter.runtime.getState("offline"), "connection refused");
+
+    assertThrows(() => run(interpreter, `http.get "/x" -verb PUT`), Error, 'Unknown http option "-verb"');
+    assertThrows(() => run(interpreter, `http.get "/x" -as xml`), Error, 'Bad -as "xml"');
+});
+
+Deno.test("Real Interpreter: http failures without .error go to onError", async () => {
+    const { transport } = stubTransport({
+        "GET /posts": { status: 500, statusText: "Server Error", body: "" },
+    });
+    const errors = [];
+    const { interpreter } = setup({ transport, onError: error => errors.push(error) });
+    run(interpreter, `
+set ready 1
+http.get "/posts"
+  .callback
+    set result "ok"
+`);
+    await settle();
+
+    assertEquals(errors.length, 1);
+    assertEquals(errors[0] instanceof TclWebError, true);
+    assertEquals(errors[0].message, "GET /posts returned 500 Server Error");
+    assertEquals(errors[0].location, { line: 3, column: 1 });
+    assertEquals(interpreter.runtime.getState("result"), undefined);
+});
+
+Deno.test("Real Interpreter: http errors without onError are logged", async () => {
+    const { transport } = stubTransport({
+        "GET /missing": { status: 404, statusText: "Not Found", body: "" },
+        "GET /posts": { status: 200, body: "[]" },
+    });
+    const logged = [];
+    const consoleError = console.error;
+    console.error = message => logged.push(message);
+    try {
+        const { interpreter } = setup({ transport });
+        run(interpreter, `
+http.get "/missing"
+http.get "/posts"
+  .callback
+    set ratio [expr 1 / 0]
+`);
+        await settle();
+    } finally {
+        console.error = consoleError;
+    }
+
+    // Neither becomes an unhandled rejection
+    assertEquals(logged.length, 2);
+    assertStringIncludes(logged[0], "GET /missing returned 404 Not Found");
+    assertStringIncludes(logged[1], "Division by zero");
+});
+
+Deno.test("Real Interpreter: http timeout", async () => {
+    const transport = () => new Promise(() => {});
+    const { interpreter } = setup({ transport });
+    run(interpreter, `
+http.patch "/slow" -timeout 5
+  .error
+    set failure {$error.message}
+`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assertEquals(interpreter.runtime.getState("failure"), "Request to /slow timed out after 5ms");
+});
+
+Deno.test("Real Interpreter: runtime errors carry location and call trace", () => {
+    const { interpreter } = setup();
+    const error = assertThrows(() => run(interpreter, `
+proc inner
+  expr 1 / 0
+proc outer
+  inner
+outer
+`), TclWebError, "Division by zero");
+
+    assertEquals(error.code, "RUNTIME_ERROR");
+    assertEquals(error.location, { line: 3, column: 3 });
+    assertEquals(error.trace, [
+        { proc: "inner", line: 3, column: 3 },
+        { proc: "outer", line: 5, column: 3 },
+        { proc: null, line: 6, column: 1 },
+    ]);
+    assertEquals(error.format(), [
+        "Division by zero (line 3, column 3)",
+        '    in proc "inner" at line 3, column 3',
+        '    in proc "outer" at line 5, column 3',
+        "    in top-level code at line 6, column 1",
+    ].join("\n"));
+    assertEquals(interpreter.frames.length, 0);
+});
+
+Deno.test("Real Interpreter: callback errors go to onError", () => {
+    const errors = [];
+    const { interpreter, document } = setup({ onError: error => errors.push(error) });
+    run(interpreter, `
+b save "Save"
+bind save
+  .click
+    set saving 1
+    missing_proc
+`);
+
+    document.getElementById("save").dispatchEvent(new Event("click"));
+    assertEquals(errors.length, 1);
+    assertEquals(errors[0].message, "Procedure not found: missing_proc");
+    assertEquals(errors[0].location, { line: 6, column: 5 });
+});
+
+Deno.test("Real Interpreter: component instances have their own widgets and state", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+component user_field label placeholder
+  l caption {$label}
+  i entry -bind value
+  pack caption -side left
+  pack entry -side left
+  bind entry
+    .keydown
+      set last_key {$event.key}
+      set ::edited {$event.widget}
+
+c form
+  user_field email_field -label "Email"
+  user_field name_field -label "Name" -placeholder "Ada"
+pack email_field
+pack name_field
+conf email_field::caption -bg "blue"
+`);
+
+    const email = document.getElementById("email_field");
+    assertEquals(email.dataset.widgetType, "CONTAINER");
+    assertEquals(email.parentElement.id, "form");
+    assertEquals(document.getElementById("email_field::caption").textContent, "Email");
+    assertEquals(document.getElementById("email_field::caption").style.backgroundColor, "blue");
+    assertEquals(document.getElementById("name_field::caption").textContent, "Name");
+    assertEquals(interpreter.runtime.getState("name_field::placeholder"), "Ada");
+    assertEquals(interpreter.runtime.getState("email_field::placeholder"), "");
+
+    const nameEntry = document.getElementById("name_field::entry");
+    nameEntry.value = "Grace";
+    fire(nameEntry, "input");
+    fire(nameEntry, "keydown", { key: "G" });
+    assertEquals(interpreter.runtime.getState("name_field::value"), "Grace");
+    assertEquals(interpreter.runtime.getState("email_field::value"), "");
+    // Handlers run in their instance's scope; `::` reaches global state
+    assertEquals(interpreter.runtime.getState("name_field::last_key"), "G");
+    assertEquals(interpreter.runtime.state.has("email_field::last_key"), false);
+    assertEquals(interpreter.runtime.getState("edited"), "name_field::entry");
+});
+
+Deno.test("Real Interpreter: component options and nesting", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+component badge text
+  l body {$text}
+component card title
+  l heading {$title}
+  badge status -text "new"
+card first -title "First"
+`);
+
+    assertEquals(document.getElementById("first::heading").textContent, "First");
+    assertEquals(document.getElementById("first::status::body").textContent, "new");
+    assertEquals(document.getElementById("first::status").parentElement.id, "first");
+
+    assertThrows(() => run(interpreter, `card second -color red`), TclWebError,
+        'Unknown option "-color" for component "card": must be -title');
+    assertThrows(() => run(interpreter, `card`), TclWebError,
+        'wrong # args: should be "card name ?-title value?"');
+});
+
+Deno.test("Real Interpreter: destroy removes a widget, its children and their listeners", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+set name "Ada"
+set gone [list]
+c form
+  i entry -bind name
+  b save "Save"
+l footer "Footer"
+pack form
+pack footer
+bind save
+  .click
+    set saved yes
+  .unmount
+    lappend gone save
+bind form
+  .unmount
+    lappend gone form
+`);
+    const save = document.getElementById("save");
+    run(interpreter, `destroy form`);
+
+    assertEquals(document.getElementById("form"), null);
+    assertEquals(document.getElementById("entry"), null);
+    assertEquals(interpreter.runtime.widgets.has("save"), false);
+    assertEquals(interpreter.runtime.packSlaves.get(null), ["footer"]);
+    // Children are destroyed first
+    assertEquals(interpreter.runtime.getState("gone"), ["save", "form"]);
+    // The -bind watcher and the click listener went with their widgets
+    assertEquals(interpreter.runtime.watchers.has("name"), false);
+    fire(save, "click");
+    assertEquals(interpreter.runtime.state.has("saved"), false);
+
+    assertThrows(() => run(interpreter, `destroy form`), TclWebError, 'Cannot destroy "form": no such widget');
+});
+
+Deno.test("Real Interpreter: destroying a component instance disposes its watchers and state", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+component counter
+  set count 0
+  watch ::total
+    set count {$::total}
+counter a
+set total 5
+`);
+    interpreter.runtime.flush();
+    assertEquals(interpreter.runtime.getState("a::count"), 5);
+
+    run(interpreter, `destroy a`);
+    assertEquals(interpreter.runtime.state.has("a::count"), false);
+    assertEquals(interpreter.runtime.watchers.has("total"), false);
+});
+
+Deno.test("Real Interpreter: mount and unmount events, unbind and unwatch", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+set events [list]
+l status "Ready"
+i entry -bind text
+pack status
+bind status
+  .mount
+    lappend events mount
+  .unmount
+    lappend events unmount
+pack forget status
+pack status
+watch text
+  set copy {$text}
+`);
+    assertEquals(interpreter.runtime.getState("events"), ["mount", "unmount", "mount"]);
+
+    run(interpreter, `
+unbind status .mount
+pack forget status
+pack status
+unwatch text
+set text "typed"
+`);
+    interpreter.runtime.flush();
+    assertEquals(interpreter.runtime.getState("events"), ["mount", "unmount", "mount", "unmount"]);
+    // unwatch removes the watch handlers but not the -bind sync
+    assertEquals(interpreter.runtime.state.has("copy"), false);
+    assertEquals(document.getElementById("entry").value, "typed");
+});
+
+Deno.test("Real Interpreter: dispose tears the app down", () => {
+    const { interpreter, document } = setup();
+    run(interpreter, `
+set count 0
+b inc "+"
+bind inc
+  .click
+    set count [expr {$count} + 1]
+watch count
+  set seen {$count}
+`);
+    const button = document.getElementById("inc");
+    interpreter.dispose();
+
+    assertEquals(document.getElementById("root").children.length, 0);
+    assertEquals(interpreter.runtime.state.size, 0);
+    assertEquals(interpreter.runtime.watchers.size, 0);
+    fire(button, "click");
+    assertEquals(interpreter.runtime.state.size, 0);
+});
+
+Deno.test("Real Interpreter: watchers run once per tick and only on change", async () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set renders 0
+set items [list x]
+watch a
+  set renders [expr {$renders} + 1]
+watch items
+  set renders [expr {$renders} + 100]
+set a 1
+set a 2
+set a 3
+set items [list x]
+`);
+    assertEquals(interpreter.runtime.getState("renders"), 0);
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assertEquals(interpreter.runtime.getState("renders"), 1);
+
+    run(interpreter, `set a 3\nset items [list x]`);
+    interpreter.runtime.flush();
+    assertEquals(interpreter.runtime.getState("renders"), 1);
+});
+
+Deno.test("Real Interpreter: watcher cycles are reported", async () => {
+    const errors = [];
+    const { interpreter } = setup({ onError: error => errors.push(error) });
+    run(interpreter, `
+set a 0
+set b 0
+watch a
+  set b [expr {$a} + 1]
+watch b
+  set a [expr {$b} + 1]
+set a 1
+`);
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assertEquals(errors.length, 1);
+    assertEquals(errors[0].code, "RUNTIME_ERROR");
+    assertEquals(errors[0].message, 'Reactive cycle: the watcher of "a" ran 100 times in one update');
+});
+
+Deno.test("Real Interpreter: changes whose watchers were removed before the update", async () => {
+    const errors = [];
+    const { interpreter } = setup({ onError: error => errors.push(error) });
+    run(interpreter, `
+i f -bind v
+set v "b"
+destroy f
+watch x
+  set seen {$x}
+set x 5
+unwatch x
+`);
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assertEquals(errors, []);
+    assertEquals(interpreter.runtime.state.has("seen"), false);
+});
+
+Deno.test("Real Interpreter: computed variables", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set price 2
+set qty 3
+computed total
+  return [expr {$price} * {$qty}]
+watch price
+  set seen {$total}
+`);
+    assertEquals(interpreter.runtime.getState("total"), 6);
+    // Only the variables it read are dependencies
+    assertEquals(interpreter.runtime.watchers.get("qty").length, 1);
+    assertEquals(interpreter.runtime.watchers.has("seen"), false);
+
+    run(interpreter, `set price 5`);
+    interpreter.runtime.flush();
+    assertEquals(interpreter.runtime.getState("total"), 15);
+    // Computed variables settle before other watchers run
+    assertEquals(interpreter.runtime.getState("seen"), 15);
+
+    assertThrows(() => run(interpreter, `set total 1`), TclWebError, 'Cannot set "total": it is a computed variable');
+});
+
+Deno.test("Real Interpreter: computed variables are current when read before watchers run", () => {
+    const { interpreter } = setup();
+    run(interpreter, `
+set a 1
+set b 2
+computed sum
+  return [expr {$a} + {$b}]
+computed doubled
+  return [expr {$sum} * 2]
+set a 10
+set b 20
+set now {$sum}
+set twice {$doubled}
+`);
+    assertEquals(interpreter.runtime.getState("now"), 30);
+    assertEquals(interpreter.runtime.getState("twice"), 60);
+
+    interpreter.runtime.flush();
+    assertEquals(interpreter.runtime.getState("sum"), 30);
+    assertEquals(interpreter.runtime.getState("doubled"), 60);
+});
+
+Deno.test("Real Interpreter: persist loads saved values and saves changes", () => {
+    const local = new MemoryStorage({ todos: '["saved"]', broken: "{not json" });
+    const session = new MemoryStorage();
+    const { interpreter } = setup({ storage: { local, session } });
+    run(interpreter, `
+set todos [list "default"]
+persist todos
+set draft "hello"
+persist draft -key app.draft -storage session
+set broken "fresh"
+persist broken
+lappend todos "more"
+`);
+
+    assertEquals(interpreter.runtime.getState("todos"), ["saved", "more"]);
+    assertEquals(session.getItem("app.draft"), '"hello"');
+    assertEquals(local.getItem("broken"), '"fresh"');
+    interpreter.runtime.flush();
+    assertEquals(local.getItem("todos"), '["saved","more"]');
+
+    assertThrows(() => run(interpreter, `persist todos -storage cloud`), TclWebError,
+        'Bad -storage "cloud": must be one of local, session');
+    assertThrows(() => run(interpreter, `persist todos -ttl 5`), TclWebError, 'Unknown persist option "-ttl"');
+});
+
+Deno.test("Real Interpreter: storage is only looked up by persist", () => {
+    // As in a sandboxed iframe, where reading localStorage throws
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, "localStorage");
+    Object.defineProperty(globalThis, "localStorage", {
+        get() { throw new DOMException("The document is sandboxed", "SecurityError"); },
+        configurable: true,
+    });
+    try {
+        const { interpreter } = setup();
+        run(interpreter, `set count 1\nl shown {$count}`);
+        assertEquals(interpreter.runtime.getState("count"), 1);
+
+        assertThrows(() => run(interpreter, `persist count`), TclWebError,
+            'Cannot persist "count": local storage is not accessible (The document is sandboxed)');
+    } finally {
+        Object.defineProperty(globalThis, "localStorage", descriptor);
+    }
+});
+
+Deno.test("Real Interpreter: snapshot and restore", () => {
+    const program = `
+set name "Ada"
+set tags [list a b]
+computed greeting
+  return "Hello, {$name}"
+l greeting_label ""
+watch greeting
+  conf greeting_label -text {$greeting}
+`;
+    const { interpreter: first } = setup();
+    run(first, program);
+    run(first, `set name "Grace"\nlappend tags c`);
+    const json = first.snapshot();
+    assertEquals(JSON.parse(json), { version: 1, state: { name: "Grace", tags: ["a", "b", "c"] } });
+
+    const { interpreter: second, document } = setup();
+    run(second, program);
+    second.restore(json);
+    second.runtime.flush();
+    assertEquals(second.runtime.getState("tags"), ["a", "b", "c"]);
+    assertEquals(second.runtime.getState("greeting"), "Hello, Grace");
+    assertEquals(document.getElementById("greeting_label").textContent, "Hello, Grace");
+
+    assertThrows(() => second.restore("{}"), Error, "Not a TCL-Web snapshot");
+    assertThrows(() => second.restore('{"version": 2, "state": {}}'), Error, "Unsupported snapshot version 2");
+});
+
+Deno.test("Real Interpreter: debugger breakpoints, stepping and inspection", () => {
+    const pauses = [];
+    const { interpreter, document } = setup({ onPause: info => pauses.push(info) });
+    interpreter.setBreakpoint(7);
+    const result = run(interpreter, `set a 1
+proc double x
+  return [expr {$x} * 2]
+b go "Go"
+bind go
+  .click
+    set b [double {$a}]
+set c 3`);
+
+    assertEquals(result, "");
+    assertEquals(pauses.length, 0);
+    // Handlers run to the breakpoint, then wait for the debugger
+    fire(document.getElementById("go"), "click");
+    assertEquals(pauses.map(info => info.location.line), [7]);
+    assertEquals(interpreter.inspect().state.b, undefined);
+
+    interpreter.step();
+    const inProc = interpreter.inspect();
+    assertEquals(inProc.location.line, 3);
+    assertEquals(inProc.frames.map(frame => frame.proc), ["double", null]);
+    assertEquals(inProc.frames[0].locals, { x: 1 });
+
+    // Clicks while paused wait until the paused handler has finished
+    fire(document.getElementById("go"), "click");
+    interpreter.clearBreakpoint(7);
+    interpreter.resume();
+    assertEquals(interpreter.paused, null);
+    assertEquals(interpreter.runtime.getState("b"), 2);
+    assertEquals(interpreter.frames, []);
+    assertEquals(interpreter.stack, []);
+    assertEquals(pauses.length, 2);
+    assertThrows(() => interpreter.resume(), Error, "not paused");
+});
+
+Deno.test("Real Interpreter: computed variables never pause at breakpoints", () => {
+    const pauses = [];
+    const { interpreter } = setup({ onPause: info => pauses.push(info) });
+    interpreter.setBreakpoint(3);
+    run(interpreter, `set a 1
+computed double
+  return [expr {$a} * 2]
+set a 5`);
+    // Recalculated by the watchers, outside any run
+    interpreter.runtime.flush();
+
+    assertEquals(pauses, []);
+    assertEquals(interpreter.paused, null);
+    assertEquals(interpreter.runtime.getState("double"), 10);
+});
+
+Deno.test("Real Interpreter: debugger pauses top-level code and traces instructions", () => {
+    const traced = [];
+    const { interpreter } = setup({ onTrace: step => traced.push(step.location.line) });
+    interpreter.setBreakpoint(2);
+    run(interpreter, `set a 1\nset b 2\nset c 3`);
+    assertEquals(traced, [1, 1, 1]);
+    assertThrows(() => run(interpreter, `set d 4`), Error, "paused");
+
+    interpreter.stepInstruction();
+    assertEquals(traced, [1, 1, 1, 2]);
+    assertEquals(interpreter.inspect().stack, [2]);
+    interpreter.resume();
+    assertEquals(interpreter.runtime.getState("c"), 3);
+    assertEquals(traced.length, 9);
+});
+
+Deno.test("Real Interpreter: renders into a given element without the global document", () => {
+    const document = new DOMParser().parseFromString(`<div id="app"></div>`, "text/html");
+    const saved = globalThis.document;
+    delete globalThis.document;
+    try {
+        const runtime = new DOMRuntime(document.getElementById("app"));
+        const interpreter = new Interpreter(runtime);
+        run(interpreter, `c box\n  b ok "OK"`);
+        assertEquals(interpreter.runtime, runtime);
+        assertEquals(document.getElementById("ok").parentNode.id, "box");
+    } finally {
+        globalThis.document = saved;
+    }
+});
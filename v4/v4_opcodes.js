@@ -0,0 +1,56 @@
+// Bump whenever an opcode is added, removed or changes meaning: serialized
+// bytecode records the version it was compiled for (see v4_bytecode_format.js)
+export const OPCODES_VERSION = 2;
+
+export const Opcodes = {
+    PUSH_CONST: 0,
+    PUSH_VAR: 1,
+    POP: 2,
+    SET_STATE: 3,
+    BUILD_OBJ: 4,
+    CREATE_WIDGET: 5,
+    UPDATE_WIDGET: 6,
+    PACK_WIDGET: 7,
+    DEF_BLOCK: 8,
+    BIND_WIDGET: 9,
+    WATCH_STATE: 10,
+    DEF_PROC: 11,
+    CALL_PROC: 12,
+    HTTP_REQUEST: 13,
+    DUP: 14,
+    ADD: 15,
+    SUB: 16,
+    MUL: 17,
+    DIV: 18,
+    MOD: 19,
+    NEG: 20,
+    NOT: 21,
+    EQ: 22,
+    NE: 23,
+    LT: 24,
+    LE: 25,
+    GT: 26,
+    GE: 27,
+    // 28 and 29 were AND and OR, before `&&` and `||` compiled to jumps
+    STR_EQ: 30,
+    STR_NE: 31,
+    JUMP: 32,
+    JUMP_IF_FALSE: 33,
+    ITER_START: 34,
+    ITER_NEXT: 35,
+    RETURN: 36,
+    CONCAT: 37,
+    ENTER_CONTAINER: 38,
+    EXIT_CONTAINER: 39,
+    CALL_BUILTIN: 40,
+    UNPACK_WIDGET: 41,
+    GRID_WIDGET: 42,
+    GRID_CONFIGURE: 43,
+    DRAW: 44,
+    DEF_COMPONENT: 45,
+    DESTROY_WIDGET: 46,
+    UNWATCH_STATE: 47,
+    UNBIND_WIDGET: 48,
+    DEF_COMPUTED: 49,
+    PERSIST_STATE: 50,
+};
@@ -0,0 +1,200 @@
+import { Opcodes } from './v4_opcodes.js';
+import { OPERAND_KINDS, isChunk } from './v4_bytecode_format.js';
+import { toBoolean } from './v4_values.js';
+
+/**
+ * Optimization passes over compiled chunks. Each pass takes a chunk
+ * (`{bytecode, constants, locations}`) and returns a new one that behaves
+ * the same; passes never look inside nested blocks, which the Compiler
+ * optimizes when it compiles them.
+ */
+
+/**
+ * A key that is the same for constants the VM cannot tell apart: equal
+ * strings, numbers and booleans, and objects or lists with the same
+ * content. `1`, `"1"` and `true` get different keys. Blocks are keyed by
+ * identity.
+ * @param {*} value
+ * @returns {*}
+ */
+export function constantKey(value) {
+    if (isChunk(value)) return value;
+    if (value !== null && typeof value === 'object') return `${Array.isArray(value) ? 'list' : 'object'}:${JSON.stringify(value)}`;
+    return `${typeof value}:${Object.is(value, -0) ? '-0' : String(value)}`;
+}
+
+function isPrimitive(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function jumpTargets(bytecode) {
+    return new Set(bytecode.filter(([opcode]) => OPERAND_KINDS[opcode] === 'target').map(([, target]) => target));
+}
+
+/**
+ * Replaces runs of instructions, keeping the locations and fixing up jump
+ * targets. A jump to the start of a replaced run goes to its replacement
+ * (or, if the run was removed, to whatever follows it).
+ * @param {object} chunk
+ * @param {Array<{start: number, end: number, instructions: Array}>} edits
+ *     Sorted, non-overlapping runs `[start, end)` and what replaces them.
+ * @returns {object} A new chunk sharing the constants.
+ */
+function applyEdits(chunk, edits) {
+    const { bytecode, constants, locations = [] } = chunk;
+    const result = { bytecode: [], constants, locations: [] };
+    const newIndex = new Array(bytecode.length + 1);
+    let ip = 0;
+    const copyUpTo = (end) => {
+        for (; ip < end; ip++) {
+            newIndex[ip] = result.bytecode.length;
+            result.bytecode.push([...bytecode[ip]]);
+            result.locations.push(locations[ip] ?? null);
+        }
+    };
+    for (const { start, end, instructions } of edits) {
+        copyUpTo(start);
+        for (; ip < end; ip++) newIndex[ip] = result.bytecode.length;
+        for (const instruction of instructions) {
+            result.bytecode.push(instruction);
+            result.locations.push(locations[start] ?? null);
+        }
+    }
+    copyUpTo(bytecode.length);
+    newIndex[bytecode.length] = result.bytecode.length;
+    for (const instruction of result.bytecode) {
+        if (OPERAND_KINDS[instruction[0]] === 'target') instruction[1] = newIndex[instruction[1]];
+    }
+    return result;
+}
+
+/**
+ * Builds `-option value` objects whose keys and values are all literal at
+ * compile time: `PUSH_CONST` × 2n followed by `BUILD_OBJ n` becomes one
+ * `PUSH_CONST` of the finished object.
+ */
+function fold(chunk) {
+    const { bytecode, constants } = chunk;
+    const targets = jumpTargets(bytecode);
+    const edits = [];
+    const folded = [...constants];
+    bytecode.forEach(([opcode, count], ip) => {
+        if (opcode !== Opcodes.BUILD_OBJ) return;
+        const start = ip - 2 * count;
+        if (start < 0 || (edits.length > 0 && start < edits[edits.length - 1].end)) return;
+        const pushes = bytecode.slice(start, ip);
+        const isLiteral = ([op, index]) => op === Opcodes.PUSH_CONST && isPrimitive(constants[index]);
+        if (!pushes.every(isLiteral)) return;
+        for (let i = start + 1; i <= ip; i++) if (targets.has(i)) return;
+        // Pops keys and values in the same order as BUILD_OBJ, so repeated keys resolve alike
+        const stack = pushes.map(([, index]) => constants[index]);
+        const obj = {};
+        for (let i = 0; i < count; i++) {
+            const key = stack.pop();
+            obj[key] = stack.pop();
+        }
+        folded.push(obj);
+        edits.push({ start, end: ip + 1, instructions: [[Opcodes.PUSH_CONST, folded.length - 1]] });
+    });
+    return applyEdits({ ...chunk, constants: folded }, edits);
+}
+
+/**
+ * Removes a value that is pushed and immediately discarded (`PUSH_CONST`
+ * or `DUP` followed by `POP`) and jumps to the next instruction.
+ */
+function peephole(chunk) {
+    const { bytecode } = chunk;
+    const targets = jumpTargets(bytecode);
+    const edits = [];
+    for (let ip = 0; ip < bytecode.length; ip++) {
+        const [opcode, operand] = bytecode[ip];
+        const next = bytecode[ip + 1];
+        if ([Opcodes.PUSH_CONST, Opcodes.DUP].includes(opcode) && next && next[0] === Opcodes.POP && !targets.has(ip + 1)) {
+            edits.push({ start: ip, end: ip + 2, instructions: [] });
+            ip++;
+        } else if (opcode === Opcodes.JUMP && operand === ip + 1) {
+            edits.push({ start: ip, end: ip + 1, instructions: [] });
+        }
+    }
+    return applyEdits(chunk, edits);
+}
+
+/**
+ * Resolves conditions that are constant (`if false`, `while true`) and
+ * then removes the instructions that can never run, such as code after
+ * `return` or `break` and the body of an `if false`.
+ */
+function deadCode(chunk) {
+    const { bytecode, constants } = chunk;
+    const targets = jumpTargets(bytecode);
+    const edits = [];
+    for (let ip = 0; ip + 1 < bytecode.length; ip++) {
+        const [opcode, index] = bytecode[ip];
+        const [nextOpcode, target] = bytecode[ip + 1];
+        if (opcode !== Opcodes.PUSH_CONST || nextOpcode !== Opcodes.JUMP_IF_FALSE || targets.has(ip + 1)) continue;
+        let truthy;
+        try {
+            truthy = toBoolean(constants[index]);
+        } catch {
+            continue; // Not a boolean; the VM reports it when the condition runs
+        }
+        edits.push({ start: ip, end: ip + 2, instructions: truthy ? [] : [[Opcodes.JUMP, target]] });
+        ip++;
+    }
+    const resolved = applyEdits(chunk, edits);
+
+    // Everything reachable from the first instruction by falling through or jumping
+    const reachable = new Set();
+    const pending = [0];
+    while (pending.length > 0) {
+        const ip = pending.pop();
+        if (ip >= resolved.bytecode.length || reachable.has(ip)) continue;
+        reachable.add(ip);
+        const [opcode, target] = resolved.bytecode[ip];
+        if (opcode === Opcodes.RETURN) continue;
+        if (OPERAND_KINDS[opcode] === 'target') pending.push(target);
+        if (opcode !== Opcodes.JUMP) pending.push(ip + 1);
+    }
+    const dead = [];
+    resolved.bytecode.forEach((_, ip) => {
+        if (reachable.has(ip)) return;
+        const last = dead[dead.length - 1];
+        if (last && last.end === ip) last.end++; else dead.push({ start: ip, end: ip + 1, instructions: [] });
+    });
+    return applyEdits(resolved, dead);
+}
+
+// Drops constants no instruction uses any more and merges equal ones
+function compactConstants(chunk) {
+    const constants = [];
+    const indices = new Map();
+    const bytecode = chunk.bytecode.map(([opcode, ...operands]) => {
+        const kind = OPERAND_KINDS[opcode];
+        if (kind !== 'constant' && kind !== 'chunk') return [opcode, ...operands];
+        const value = chunk.constants[operands[0]];
+        const key = constantKey(value);
+        if (!indices.has(key)) {
+            indices.set(key, constants.length);
+            constants.push(value);
+        }
+        return [opcode, indices.get(key)];
+    });
+    return { bytecode, constants, locations: chunk.locations };
+}
+
+// In the order they run
+export const PASSES = { fold, deadCode, peephole };
+
+/**
+ * Runs the enabled passes over a chunk.
+ * @param {object} chunk
+ * @param {Object<string, boolean>} [enabled] Pass name -> whether it runs;
+ *     passes not mentioned run.
+ * @returns {object} The optimized chunk.
+ */
+export function optimize(chunk, enabled = {}) {
+    const names = Object.keys(PASSES).filter(name => enabled[name] !== false);
+    if (names.length === 0) return chunk;
+    return compactConstants(names.reduce((result, name) => PASSES[name](result), chunk));
+}
@@ -0,0 +1,112 @@
+import { assertEquals } from "https://deno.land/std@0.224.0/testing/asserts.ts";
+import { DOMParser } from "https://deno.land/x/deno_dom/deno-dom-wasm.ts";
+
+import Parser from "./v4_parser.js";
+import Compiler, { Opcodes } from "./v4_compiler.js";
+import Interpreter from "./v4_interpreter.js";
+
+const UNOPTIMIZED = { optimize: { fold: false, deadCode: false, peephole: false } };
+
+function compile(code, options = {}) {
+    return new Compiler(options).compile(new Parser().parse(code));
+}
+
+function opcodes(chunk) {
+    return chunk.bytecode.map(([opcode]) => opcode);
+}
+
+Deno.test("Optimizer: equal constants are stored once, typed constants stay apart", () => {
+    const { constants } = compile(`l a "x"\nl b "x"\nset n 1\nset s "1"\nset t true\nconf a -text "hi"\nconf b -text "hi"`);
+
+    assertEquals(constants.filter(c => c?.initialText === "x").length, 1);
+    assertEquals(constants.filter(c => c?.["-text"] === "hi").length, 1);
+    assertEquals(constants.filter(c => c === 1 || c === "1" || c === true), [1, "1", true]);
+});
+
+Deno.test("Optimizer: literal options are built at compile time", () => {
+    const folded = compile(`conf title -text "hi" -bg blue`);
+    assertEquals(folded.bytecode, [
+        [Opcodes.PUSH_CONST, folded.constants.findIndex(c => c?.["-text"] === "hi")],
+        [Opcodes.PUSH_CONST, folded.constants.indexOf("title")],
+        [Opcodes.UPDATE_WIDGET],
+    ]);
+    assertEquals(folded.constants[folded.bytecode[0][1]], { "-bg": "blue", "-text": "hi" });
+    // Unused constants are dropped
+    assertEquals(folded.constants.includes("-text"), false);
+
+    // Substituted values are still built at run time
+    assertEquals(opcodes(compile(`conf title -text {$name}`)).includes(Opcodes.BUILD_OBJ), true);
+    assertEquals(opcodes(compile(`conf title -text "hi"`, { optimize: { fold: false } })).includes(Opcodes.BUILD_OBJ), true);
+});
+
+Deno.test("Optimizer: dead code after return and in constant conditions", () => {
+    const proc = compile(`proc f\n  return 1\n  set x 2`).constants.find(c => c?.bytecode);
+    assertEquals(opcodes(proc), [Opcodes.PUSH_CONST, Opcodes.RETURN]);
+
+    const ifFalse = compile(`if false\n  set x 1\nelse\n  set y 2`);
+    assertEquals(ifFalse.constants.includes("x"), false);
+    assertEquals(opcodes(ifFalse), [Opcodes.PUSH_CONST, Opcodes.PUSH_CONST, Opcodes.SET_STATE]);
+
+    const ifTrue = compile(`if true\n  set x 1\nelse\n  set y 2`);
+    assertEquals(ifTrue.constants.includes("y"), false);
+
+    // The condition of `while true` is dropped and the jump back never runs after `break`
+    const loop = compile(`while true\n  break\nset done 1`, { optimize: { peephole: false } });
+    assertEquals(opcodes(loop), [Opcodes.JUMP, Opcodes.PUSH_CONST, Opcodes.PUSH_CONST, Opcodes.SET_STATE]);
+    assertEquals(loop.bytecode[0], [Opcodes.JUMP, 1]);
+    // ... which leaves `break` jumping to the next instruction, for the peephole pass
+    assertEquals(opcodes(compile(`while true\n  break\nset done 1`)), [Opcodes.PUSH_CONST, Opcodes.PUSH_CONST, Opcodes.SET_STATE]);
+
+    assertEquals(opcodes(compile(`if false\n  set x 1`, { optimize: { deadCode: false } })).length, 5);
+});
+
+Deno.test("Optimizer: peephole removes discarded pushes and jumps to the next instruction", () => {
+    assertEquals(compile(`expr 1`).bytecode, []);
+    assertEquals(opcodes(compile(`expr 1`, { optimize: { peephole: false } })), [Opcodes.PUSH_CONST, Opcodes.POP]);
+
+    // An empty `else` leaves the `if` branch jumping to the next instruction
+    const { bytecode } = compile(`if {$a}\n  set x 1\nelse`);
+    assertEquals(opcodes({ bytecode }).includes(Opcodes.JUMP), false);
+    assertEquals(bytecode[1], [Opcodes.JUMP_IF_FALSE, bytecode.length]);
+});
+
+Deno.test("Optimizer: optimized programs behave the same", () => {
+    const code = `
+set total 0
+set items [list 1 2 3 4]
+proc add a b
+  return [expr {$a} + {$b}]
+  set never 1
+foreach item {$items}
+  if {$item} == 2
+    continue
+  if false
+    set never 2
+  set total [add {$total} {$item}]
+while true
+  set total [expr {$total} * 2]
+  if {$total} > 50
+    break
+c root
+  l title "Total"
+  b more "More"
+conf title -text "Sum" -fg red
+pack title -side top -padx 4
+bind more
+  .click
+    set total [add {$total} 1]
+`;
+    const runWith = (options) => {
+        globalThis.document = new DOMParser().parseFromString(`<div id="root"></div>`, "text/html");
+        const interpreter = new Interpreter("root");
+        const { bytecode, constants, locations } = compile(code, options);
+        interpreter.run(bytecode, constants, new Map(), locations);
+        globalThis.document.getElementById("more").dispatchEvent(new Event("click"));
+        return [Object.fromEntries(interpreter.runtime.state), globalThis.document.getElementById("root").innerHTML];
+    };
+
+    const [state, html] = runWith({});
+    assertEquals(state.total, 65);
+    assertEquals(state.never, undefined);
+    assertEquals([state, html], runWith(UNOPTIMIZED));
+});
@@ -1,3 +1,15 @@
+import { TclWebError } from './v4_errors.js';
+import { numberFromText } from './v4_values.js';
+
+// Numbers in canonical form only, so values like `007` or `02134` stay strings
+const NUMBER_REGEX = /^-?(?:(?:0|[1-9]\d*)(?:\.\d+)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+const VARIABLE_WORD_REGEX = /^\{\$[^\s{}]+\}$/;
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+/**
+ * Every node carries `loc: {line, column}` (both 1-based) pointing at the
+ * start of its source text.
+ */
 export default class Parser {
     /**
      * Parses TCL-Web source code into an Abstract Syntax Tree (AST).
@@ -11,9 +23,10 @@ export default class Parser {
     }
 
     /**
-     * Phase 1: Analyzes the source code line by line.
+     * Phase 1: Analyzes the source code line by line. A line ending in a
+     * backslash continues on the next one; the two are joined with a space.
      * @param {string} sourceCode
-     * @returns {Array<{indent: number, tokens: string[]}>}
+     * @returns {Array<{indent: number, segments: object[], tokens: Array<{text: string, column: number}>}>}
      * @private
      */
     _analyzeLines(sourceCode) {
@@ -21,7 +34,18 @@ export default class Parser {
         if (!sourceCode) return processedLines;
         const rawLines = sourceCode.split(/\r?\n/);
 
-        for (const line of rawLines) {
+        for (let index = 0; index < rawLines.length; index++) {
+            let line = rawLines[index];
+            // Maps offsets in the joined line back to source lines and columns
+            this.segments = [{ start: 0, line: index + 1, column: 0 }];
+            while (this._continuesOnNextLine(line) && index + 1 < rawLines.length) {
+                const next = rawLines[++index];
+                const nextIndent = next.length - next.trimStart().length;
+                line = line.slice(0, -1) + ' ';
+                this.segments.push({ start: line.length, line: index + 1, column: nextIndent });
+                line += next.slice(nextIndent);
+            }
+
             // Ignore comments and empty lines
             const trimmedLine = line.trim();
             if (trimmedLine === '' || trimmedLine.startsWith('#')) {
@@ -32,52 +56,180 @@ export default class Parser {
             const match = line.match(/^\s*/);
             const indentation = match ? match[0].length : 0;
             if (indentation % 2 !== 0) {
-                throw new Error(`Invalid indentation: must be a multiple of 2 spaces. Found ${indentation} on line: "${line}"`);
+                throw this._error(`Invalid indentation: must be a multiple of 2 spaces. Found ${indentation} on line: "${line}"`, 0);
             }
             const indentLevel = indentation / 2;
 
-            // Tokenize
-            const tokens = this._tokenize(trimmedLine);
-            processedLines.push({ indent: indentLevel, tokens });
+            // Tokenize (the indentation is skipped like any other whitespace)
+            const tokens = this._tokenize(line);
+            processedLines.push({ indent: indentLevel, segments: this.segments, tokens });
         }
 
         return processedLines;
     }
 
     /**
-     * Tokenizes a single line, respecting quoted strings.
      * @param {string} line
-     * @returns {string[]}
+     * @returns {boolean} Whether the line ends in an unescaped backslash.
+     * @private
+     */
+    _continuesOnNextLine(line) {
+        const trailing = line.match(/\\*$/)[0].length;
+        return trailing % 2 === 1;
+    }
+
+    /**
+     * Creates a parse error at an offset of the line being parsed.
+     * @param {string} message
+     * @param {number} offset 0-based offset in the (joined) line.
+     * @returns {TclWebError}
+     * @private
+     */
+    _error(message, offset) {
+        return new TclWebError('PARSE_ERROR', message, this._loc(offset));
+    }
+
+    /**
+     * Tokenizes a single line into words: double-quoted strings, `{braced}`
+     * words and `[command]` substitutions (each of which may nest), and bare
+     * words. A `#` that starts a word and is followed by whitespace comments
+     * out the rest of the line.
+     * @param {string} line
+     * @param {number} [offset] Offset of `line` within the line being parsed.
+     * @returns {Array<{text: string, column: number}>} Tokens with their 0-based offset.
+     * @private
+     */
+    _tokenize(line, offset = 0) {
+        const tokens = [];
+        let i = 0;
+        while (i < line.length) {
+            if (/\s/.test(line[i])) {
+                i++;
+                continue;
+            }
+            if (line[i] === '#' && (i + 1 === line.length || /\s/.test(line[i + 1]))) {
+                break;
+            }
+            const start = i;
+            if (line[i] === '"') {
+                i = this._scanQuoted(line, i, offset);
+            } else if (line[i] === '[') {
+                i = this._scanBracketed(line, i, offset);
+            } else {
+                // A braced word followed by more text (e.g. `{$count}+1`) is a bare word
+                if (line[i] === '{') i = this._scanBraced(line, i, offset);
+                while (i < line.length && !/\s/.test(line[i])) {
+                    i += line[i] === '\\' ? 2 : 1;
+                }
+                i = Math.min(i, line.length);
+            }
+            tokens.push({ text: line.slice(start, i), column: offset + start });
+        }
+        return tokens;
+    }
+
+    /**
+     * Scans a double-quoted string starting at `start`.
+     * @param {string} line
+     * @param {number} start Index of the opening quote.
+     * @param {number} [offset] Offset of `line` within the line being parsed.
+     * @returns {number} Index just past the closing quote.
+     * @private
+     */
+    _scanQuoted(line, start, offset = 0) {
+        let i = start + 1;
+        while (i < line.length) {
+            const char = line[i];
+            if (char === '\\') {
+                i += 2;
+            } else if (char === '[') {
+                i = this._scanBracketed(line, i, offset);
+            } else if (char === '"') {
+                return i + 1;
+            } else {
+                i++;
+            }
+        }
+        throw this._error(`Unterminated string: missing closing '"' on line: "${line}"`, offset + start);
+    }
+
+    /**
+     * Scans a `[...]` command substitution starting at `start`.
+     * @param {string} line
+     * @param {number} start Index of the opening bracket.
+     * @param {number} [offset] Offset of `line` within the line being parsed.
+     * @returns {number} Index just past the matching closing bracket.
+     * @private
+     */
+    _scanBracketed(line, start, offset = 0) {
+        let i = start + 1;
+        while (i < line.length) {
+            const char = line[i];
+            if (char === '\\') {
+                i += 2;
+            } else if (char === '"') {
+                i = this._scanQuoted(line, i, offset);
+            } else if (char === '[') {
+                i = this._scanBracketed(line, i, offset);
+            } else if (char === '{' && /[\s[]/.test(line[i - 1])) {
+                i = this._scanBraced(line, i, offset);
+            } else if (char === ']') {
+                return i + 1;
+            } else {
+                i++;
+            }
+        }
+        throw this._error(`Unterminated command substitution: missing closing ']' on line: "${line}"`, offset + start);
+    }
+
+    /**
+     * Scans a `{...}` word starting at `start`. Braces nest; `\{` and `\}`
+     * do not count towards nesting.
+     * @param {string} line
+     * @param {number} start Index of the opening brace.
+     * @param {number} [offset] Offset of `line` within the line being parsed.
+     * @returns {number} Index just past the matching closing brace.
      * @private
      */
-    _tokenize(line) {
-        // Regex: match a double-quoted string, or a sequence of non-whitespace chars.
-        const tokenRegex = /"[^"]*"|\S+/g;
-        return line.match(tokenRegex) || [];
+    _scanBraced(line, start, offset = 0) {
+        let depth = 0;
+        let i = start;
+        while (i < line.length) {
+            const char = line[i];
+            if (char === '\\') {
+                i += 2;
+                continue;
+            }
+            if (char === '{') depth++;
+            if (char === '}' && --depth === 0) return i + 1;
+            i++;
+        }
+        throw this._error(`Unterminated braced word: missing closing '}' on line: "${line}"`, offset + start);
     }
 
     /**
      * Phase 2: Builds the hierarchical AST from a flat list of processed lines.
-     * @param {Array<{indent: number, tokens: string[]}>} lines
+     * @param {Array<{indent: number, segments: object[], tokens: Array<{text: string, column: number}>}>} lines
      * @returns {object} The root 'Program' node.
      * @private
      */
     _buildTree(lines) {
-        const program = { type: 'Program', body: [] };
+        const program = { type: 'Program', body: [], loc: { line: 1, column: 1 } };
         const stack = [program.body]; // Stack of 'body' arrays
         let currentIndent = 0;
 
         for (const line of lines) {
+            this.segments = line.segments;
             const commandNode = this._createCommandNode(line.tokens);
 
             if (line.indent > currentIndent) {
                 if (line.indent !== currentIndent + 1) {
-                    throw new Error(`Invalid indentation increase. From ${currentIndent} to ${line.indent}`);
+                    throw this._error(`Invalid indentation increase. From ${currentIndent} to ${line.indent}`, 0);
                 }
                 // Get the last command added and start a body for it
                 const parentBody = stack[stack.length - 1];
                 if (parentBody.length === 0) {
-                    throw new Error(`Indentation error: cannot indent on an empty block.`);
+                    throw this._error(`Indentation error: cannot indent on an empty block.`, 0);
                 }
                 const parentCommand = parentBody[parentBody.length - 1];
                 parentCommand.body = [];
@@ -88,7 +240,7 @@ export default class Parser {
                     stack.pop();
                 }
             }
-            
+
             // Add the new command to the current body
             stack[stack.length - 1].push(commandNode);
             currentIndent = line.indent;
@@ -97,9 +249,24 @@ export default class Parser {
         return program;
     }
 
+    /**
+     * Builds a node location for an offset in the line being parsed,
+     * following it onto continuation lines.
+     * @param {number} offset 0-based offset in the (joined) line.
+     * @returns {{line: number, column: number}}
+     * @private
+     */
+    _loc(offset) {
+        let segment = this.segments[0];
+        for (const candidate of this.segments) {
+            if (candidate.start <= offset) segment = candidate;
+        }
+        return { line: segment.line, column: segment.column + (offset - segment.start) + 1 };
+    }
+
     /**
      * Creates a Command node from a list of tokens.
-     * @param {string[]} tokens
+     * @param {Array<{text: string, column: number}>} tokens
      * @returns {object} A 'Command' node.
      * @private
      */
@@ -107,40 +274,150 @@ export default class Parser {
         const [name, ...args] = tokens;
         return {
             type: 'Command',
-            name: { type: 'Identifier', value: name },
-            args: args.map(this._createArgumentNode),
+            name: { type: 'Identifier', value: name.text, loc: this._loc(name.column) },
+            args: args.map(token => this._createArgumentNode(token)),
             body: null,
+            loc: this._loc(name.column),
         };
     }
 
     /**
-     * Creates an Argument node from a single token.
-     * @param {string} token
+     * Creates an Argument node from a single token. Bare words that are
+     * numbers or `true`/`false` become typed literals; quote or brace them
+     * to keep them as strings.
+     * @param {{text: string, column: number}} token
      * @returns {object} An argument node.
      * @private
      */
-    _createArgumentNode(token) {
-        if (token.startsWith('{$') && token.endsWith('}')) {
+    _createArgumentNode({ text: token, column }) {
+        const loc = this._loc(column);
+        if (token.startsWith('[') && token.endsWith(']')) {
+            const inner = token.slice(1, -1);
+            return {
+                type: 'CommandSubstitution',
+                command: inner.trim() === '' ? null : this._createCommandNode(this._tokenize(inner, column + 1)),
+                loc,
+            };
+        }
+        if (VARIABLE_WORD_REGEX.test(token)) {
             return {
                 type: 'VariableSubstitution',
                 name: token.slice(2, -1),
+                loc,
             };
         }
+        if (token.startsWith('{') && this._scanBraced(token, 0, column) === token.length) {
+            // Braced words are taken literally, without substitutions or escapes
+            return { type: 'StringLiteral', value: token.slice(1, -1), braced: true, loc };
+        }
         if (token.startsWith('"') && token.endsWith('"')) {
-            return {
-                type: 'StringLiteral',
-                value: token.slice(1, -1),
-            };
+            return this._createStringNode(token.slice(1, -1), column + 1);
+        }
+        if (NUMBER_REGEX.test(token)) {
+            return { type: 'NumberLiteral', value: numberFromText(token), loc };
+        }
+        if (token === 'true' || token === 'false') {
+            return { type: 'BooleanLiteral', value: token === 'true', loc };
         }
         if (token.startsWith('-')) {
             return {
                 type: 'Option',
                 value: token,
+                loc,
             };
         }
         return {
             type: 'Identifier',
-            value: token,
+            value: this._unescape(token),
+            loc,
+        };
+    }
+
+    /**
+     * Decodes the backslash escape at `index`: `\n`, `\t`, `\r`, `\uXXXX`,
+     * or any other character standing for itself (e.g. `\"`, `\[`, `\{`).
+     * @param {string} text
+     * @param {number} index Index of the backslash.
+     * @returns {[string, number]} The decoded text and the length consumed.
+     * @private
+     */
+    _decodeEscape(text, index) {
+        const next = text[index + 1];
+        if (next === undefined) return ['\\', 1];
+        if (Object.hasOwn(ESCAPES, next)) return [ESCAPES[next], 2];
+        const unicode = /^u([0-9a-fA-F]{4})/.exec(text.slice(index + 1));
+        if (unicode) return [String.fromCharCode(parseInt(unicode[1], 16)), 6];
+        return [next, 2];
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string} The text with backslash escapes decoded.
+     * @private
+     */
+    _unescape(text) {
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            if (text[i] === '\\') {
+                const [decoded, length] = this._decodeEscape(text, i);
+                result += decoded;
+                i += length;
+            } else {
+                result += text[i++];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Splits the contents of a quoted string into literal text and
+     * `{$var}` / `[cmd]` substitutions, decoding backslash escapes.
+     * @param {string} text The string without its surrounding quotes.
+     * @param {number} column 0-based offset of `text` in the line.
+     * @returns {object} A 'StringLiteral' node if there is nothing to
+     *     substitute, otherwise an 'InterpolatedString' node.
+     * @private
+     */
+    _createStringNode(text, column) {
+        const parts = [];
+        let literal = '';
+        let literalStart = 0;
+        const flushLiteral = () => {
+            if (literal !== '') parts.push({ type: 'StringLiteral', value: literal, loc: this._loc(column + literalStart) });
+            literal = '';
         };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (literal === '') literalStart = i;
+            if (char === '\\') {
+                const [decoded, length] = this._decodeEscape(text, i);
+                literal += decoded;
+                i += length;
+            } else if (char === '{' && text[i + 1] === '$' && text.indexOf('}', i) > -1) {
+                const end = text.indexOf('}', i);
+                flushLiteral();
+                parts.push({ type: 'VariableSubstitution', name: text.slice(i + 2, end), loc: this._loc(column + i) });
+                i = end + 1;
+            } else if (char === '[') {
+                const end = this._scanBracketed(text, i, column);
+                flushLiteral();
+                parts.push(this._createArgumentNode({ text: text.slice(i, end), column: column + i }));
+                i = end;
+            } else {
+                literal += char;
+                i++;
+            }
+        }
+        flushLiteral();
+
+        // The node starts at the opening quote
+        const loc = this._loc(column - 1);
+        if (parts.every(part => part.type === 'StringLiteral')) {
+            return { type: 'StringLiteral', value: parts.map(part => part.value).join(''), loc };
+        }
+        return { type: 'InterpolatedString', parts, loc };
     }
-}
\ No newline at end of file
+}
@@ -4,6 +4,10 @@ import {
   assertThrows,
 } from "https://deno.land/std@0.224.0/testing/asserts.ts";
 import Parser from "./v4_parser.js";
+import { TclWebError } from "./v4_errors.js";
+
+// Source location of a node, as set by the parser
+const at = (line, column) => ({ line, column });
 
 Deno.test("Parser: Simple Command", () => {
   const code = `l my_label "Hello World"`;
@@ -16,8 +20,9 @@ Deno.test("Parser: Simple Command", () => {
   assertEquals(cmd.type, "Command");
   assertEquals(cmd.name.value, "l");
   assertEquals(cmd.args.length, 2);
-  assertEquals(cmd.args[0], { type: "Identifier", value: "my_label" });
-  assertEquals(cmd.args[1], { type: "StringLiteral", value: "Hello World" });
+  assertEquals(cmd.loc, at(1, 1));
+  assertEquals(cmd.args[0], { type: "Identifier", value: "my_label", loc: at(1, 3) });
+  assertEquals(cmd.args[1], { type: "StringLiteral", value: "Hello World", loc: at(1, 12) });
   assertEquals(cmd.body, null);
 });
 
@@ -43,14 +48,91 @@ Deno.test("Parser: All Argument Types", () => {
 
     assertEquals(cmd.name.value, "conf");
     assertEquals(cmd.args, [
-        { type: "Identifier", value: "my_widget" },
-        { type: "Option", value: "-text" },
-        { type: "VariableSubstitution", name: "my_var" },
-        { type: "Option", value: "-bg" },
-        { type: "StringLiteral", value: "blue" },
+        { type: "Identifier", value: "my_widget", loc: at(1, 6) },
+        { type: "Option", value: "-text", loc: at(1, 16) },
+        { type: "VariableSubstitution", name: "my_var", loc: at(1, 22) },
+        { type: "Option", value: "-bg", loc: at(1, 32) },
+        { type: "StringLiteral", value: "blue", loc: at(1, 36) },
     ]);
 });
 
+Deno.test("Parser: Command Substitution", () => {
+    const code = `set todos [list "Learn TCL-Web" "Build an app"]`;
+    const parser = new Parser();
+    const ast = parser.parse(code);
+    const cmd = ast.body[0];
+
+    assertEquals(cmd.args.length, 2);
+    assertEquals(cmd.args[1], {
+        type: "CommandSubstitution",
+        command: {
+            type: "Command",
+            name: { type: "Identifier", value: "list", loc: at(1, 12) },
+            args: [
+                { type: "StringLiteral", value: "Learn TCL-Web", loc: at(1, 17) },
+                { type: "StringLiteral", value: "Build an app", loc: at(1, 33) },
+            ],
+            body: null,
+            loc: at(1, 12),
+        },
+        loc: at(1, 11),
+    });
+});
+
+Deno.test("Parser: Nested Command Substitution", () => {
+    const code = `set posts [json extract "title \\[x]" from [list [a b] {$http_response}]]`;
+    const parser = new Parser();
+    const ast = parser.parse(code);
+    const outer = ast.body[0].args[1].command;
+
+    assertEquals(outer.name.value, "json");
+    assertEquals(outer.args.length, 4);
+    assertEquals(outer.args[1], { type: "StringLiteral", value: "title [x]", loc: at(1, 25) });
+
+    const inner = outer.args[3].command;
+    assertEquals(inner.name.value, "list");
+    assertEquals(inner.args[0].command.name.value, "a");
+    assertEquals(inner.loc, at(1, 44));
+    assertEquals(inner.args[0].command.args, [{ type: "Identifier", value: "b", loc: at(1, 52) }]);
+    assertEquals(inner.args[1], { type: "VariableSubstitution", name: "http_response", loc: at(1, 55) });
+});
+
+Deno.test("Parser: Empty Command Substitution", () => {
+    const parser = new Parser();
+    const ast = parser.parse(`set posts []`);
+    assertEquals(ast.body[0].args[1], { type: "CommandSubstitution", command: null, loc: at(1, 11) });
+});
+
+Deno.test("Parser: Throws on unterminated command substitution", () => {
+    const parser = new Parser();
+    assertThrows(() => parser.parse(`set x [list "a"`), Error, "Unterminated command substitution");
+});
+
+Deno.test("Parser: String Interpolation", () => {
+    const code = `conf greeting -text "Hello, {$user_name}! [llength {$todos}] left \\{$literal\\}"`;
+    const parser = new Parser();
+    const ast = parser.parse(code);
+    const text = ast.body[0].args[2];
+
+    assertEquals(text.type, "InterpolatedString");
+    assertEquals(text.parts.length, 5);
+    assertEquals(text.loc, at(1, 21));
+    assertEquals(text.parts[0], { type: "StringLiteral", value: "Hello, ", loc: at(1, 22) });
+    assertEquals(text.parts[1], { type: "VariableSubstitution", name: "user_name", loc: at(1, 29) });
+    assertEquals(text.parts[2], { type: "StringLiteral", value: "! ", loc: at(1, 41) });
+    assertEquals(text.parts[3].type, "CommandSubstitution");
+    assertEquals(text.parts[3].loc, at(1, 43));
+    assertEquals(text.parts[3].command.name.value, "llength");
+    assertEquals(text.parts[3].command.args[0], { type: "VariableSubstitution", name: "todos", loc: at(1, 52) });
+    assertEquals(text.parts[4], { type: "StringLiteral", value: " left {$literal}", loc: at(1, 61) });
+});
+
+Deno.test("Parser: Strings without substitutions stay literal", () => {
+    const parser = new Parser();
+    const ast = parser.parse(`l title "Braces {like this} and \\[brackets\\]"`);
+    assertEquals(ast.body[0].args[1], { type: "StringLiteral", value: "Braces {like this} and [brackets]", loc: at(1, 9) });
+});
+
 Deno.test("Parser: Simple Indentation (watch)", () => {
     const code = `
 watch user_name
@@ -146,6 +228,78 @@ l label1 "hello"
     assertThrows(() => parser.parse(code), Error, "Invalid indentation increase");
 });
 
+Deno.test("Parser: Backslash escapes", () => {
+    const parser = new Parser();
+    const ast = parser.parse(`set msg "say \\"hi\\"\\n\\ttab \\u00e9 \\$x \\q" a\\ b`);
+    assertEquals(ast.body[0].args[1].value, 'say "hi"\n\ttab \u00e9 $x q');
+    assertEquals(ast.body[0].args[2], { type: "Identifier", value: "a b", loc: at(1, 43) });
+});
+
+Deno.test("Parser: Braced words are literal", () => {
+    const parser = new Parser();
+    const ast = parser.parse(`set t {Hello {$name} [list] "q" \\n {nested}} {$name}`);
+    assertEquals(ast.body[0].args[1], {
+        type: "StringLiteral",
+        value: 'Hello {$name} [list] "q" \\n {nested}',
+        braced: true,
+        loc: at(1, 7),
+    });
+    assertEquals(ast.body[0].args[2].type, "VariableSubstitution");
+    assertThrows(() => parser.parse(`set t {open`), TclWebError, "Unterminated braced word");
+
+    // Only a word that is one braced group; `{$a}+{$b}` keeps both substitutions
+    const [sum, suffixed] = parser.parse(`x {$a}+{$b} {a}b`).body[0].args;
+    assertEquals([sum.type, sum.value], ["Identifier", "{$a}+{$b}"]);
+    assertEquals([suffixed.type, suffixed.value], ["Identifier", "{a}b"]);
+});
+
+Deno.test("Parser: Typed number and boolean literals", () => {
+    const parser = new Parser();
+    const args = parser.parse(`x 400 -2.5 1e3 2.0 true false 02134 1.0.0 "42" {7}`).body[0].args;
+    assertEquals(args.map(arg => [arg.type, arg.value]), [
+        ["NumberLiteral", 400],
+        ["NumberLiteral", -2.5],
+        // Whole-number floats keep their text, so they stay floats
+        ["NumberLiteral", "1e3"],
+        ["NumberLiteral", "2.0"],
+        ["BooleanLiteral", true],
+        ["BooleanLiteral", false],
+        ["Identifier", "02134"],
+        ["Identifier", "1.0.0"],
+        ["StringLiteral", "42"],
+        ["StringLiteral", "7"],
+    ]);
+});
+
+Deno.test("Parser: Trailing comments and line continuation", () => {
+    const parser = new Parser();
+    const ast = parser.parse(`conf w -bg #fff # the background
+pack w -side top \\
+    -fill x \\
+    -expand yes`);
+
+    assertEquals(ast.body.length, 2);
+    assertEquals(ast.body[0].args.map(arg => arg.value), ["w", "-bg", "#fff"]);
+    const pack = ast.body[1];
+    assertEquals(pack.args.map(arg => arg.value), ["w", "-side", "top", "-fill", "x", "-expand", "yes"]);
+    // Locations point at the physical line each word is on
+    assertEquals(pack.args[3].loc, at(3, 5));
+    assertEquals(pack.args[6].loc, at(4, 13));
+});
+
+Deno.test("Parser: Nodes and errors carry source locations", () => {
+    const parser = new Parser();
+    const ast = parser.parse(`# comment\nwatch count\n  conf label -text "n"`);
+    const conf = ast.body[0].body[0];
+    assertEquals(ast.body[0].loc, at(2, 1));
+    assertEquals(conf.loc, at(3, 3));
+    assertEquals(conf.args[2].loc, at(3, 20));
+
+    const error = assertThrows(() => parser.parse(`l a "ok"\nset x [list "a"`), TclWebError);
+    assertEquals(error.code, "PARSE_ERROR");
+    assertEquals(error.location, at(2, 7));
+});
+
 
 Deno.test("Parser Integration: Todo App", () => {
     const code = `
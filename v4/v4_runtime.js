@@ -0,0 +1,526 @@
+import { toNumber, toBoolean, formatValue, sameValue } from './v4_values.js';
+import CanvasScene from './v4_canvas.js';
+import { persistOptions } from './v4_storage.js';
+
+// Options `conf` applies to each widget type (see updateWidget); others are ignored
+const COMMON_OPTIONS = ['-bg', '-fg', '-width', '-height'];
+export const WIDGET_OPTIONS = {
+    LABEL: ['-text', ...COMMON_OPTIONS],
+    BUTTON: ['-text', ...COMMON_OPTIONS],
+    INPUT: ['-value', ...COMMON_OPTIONS],
+    LISTBOX: ['-items', ...COMMON_OPTIONS],
+    CANVAS: COMMON_OPTIONS,
+    CONTAINER: COMMON_OPTIONS,
+};
+
+export const PACK_DEFAULTS = { side: 'top', fill: 'none', expand: false, anchor: 'center', padx: 0, pady: 0, ipadx: 0, ipady: 0 };
+const PACK_CHOICES = {
+    side: ['top', 'bottom', 'left', 'right'],
+    fill: ['none', 'x', 'y', 'both'],
+    anchor: ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw', 'center'],
+};
+
+export const GRID_DEFAULTS = { row: null, column: 0, rowspan: 1, columnspan: 1, sticky: '', padx: 0, pady: 0 };
+
+export const GRID_TRACK_DEFAULTS = { weight: 0, minsize: 0 };
+
+// A watcher that runs this often in one flush is taken to be part of a cycle
+const MAX_WATCHER_RUNS = 100;
+
+/**
+ * The runtime interface the Interpreter drives: widgets, layout, events and
+ * reactive state. This class implements everything that does not depend on
+ * how widgets are shown (state, watchers, computed variables, persistence,
+ * the widget tree, pack and grid options, bindings and lifecycle), and a
+ * backend subclass supplies the rest:
+ *
+ * - `createNode(name, type, options)`: returns a new widget's node.
+ * - `insertNode(name)`: shows a new node inside its parent.
+ * - `removeNode(name)`: takes a node out of its parent.
+ * - `updateWidget(name, options)`: applies `conf` options.
+ * - `layoutPacked(parentName)`, `placeGridSlave(name)`, `layoutGrid(parentName)`:
+ *   lay out a container after its pack or grid slaves change.
+ * - `listen(name, eventName, handler)`: calls `handler` with a native event
+ *   whenever it happens; returns a function that stops listening.
+ * - `describeEvent(name, eventName, nativeEvent)`: the `event` variable of a handler.
+ * - `hasValue(name)`, `readValue(name)`, `writeValue(name, text)`: the value
+ *   of a widget that `-bind` links to a variable.
+ *
+ * See DOMRuntime (v4_dom_runtime.js) and HeadlessRuntime (v4_headless_runtime.js).
+ */
+export default class TCLWebRuntime {
+    constructor() {
+        this.interpreter = null; // Set by connect
+        this.state = new Map();
+        this.widgets = new Map(); // widget name -> the backend's node
+        this.types = new Map(); // widget name -> LABEL, BUTTON, ...
+        this.parents = new Map(); // widget name -> parent container name (null for the root)
+        this.packSlaves = new Map(); // parent name -> packed widget names, in packing order
+        this.packInfo = new Map(); // widget name -> pack options
+        this.gridInfo = new Map(); // widget name -> grid options
+        this.gridTracks = new Map(); // parent name -> { row: Map, column: Map } of index -> track options
+        this.scenes = new Map(); // canvas name -> CanvasScene
+        this.procs = new Map();
+        this.components = new Map();
+        this.watchers = new Map();
+        this.dirty = new Set(); // variables changed since the last flush
+        this.flushScheduled = false;
+        this.computeds = new Map(); // computed variable name -> removes its definition
+        this.derivations = new WeakSet(); // the watchers that recompute a computed variable
+        this.computations = new Map(); // computed variable name -> { deps, recompute }
+        this.stale = new Set(); // computed variables whose dependencies changed since they were calculated
+        this.watchHandlers = new Map(); // variable name -> removers of its `watch` handlers
+        this.bindings = new Map(); // widget name -> Map of event name -> [{ handler, remove }]
+        this.disposers = new Map(); // widget name (null for the app) -> cleanups to run when it goes away
+        this.unmounted = new Set(); // widgets taken out of the layout by `pack forget`
+        this.persisted = new Set(); // variables that `persist` saves
+    }
+
+    /**
+     * Called by the Interpreter that drives this runtime, which runs
+     * callbacks, reports their errors and provides storage for `persist`.
+     * @param {object} interpreter
+     */
+    connect(interpreter) {
+        if (this.interpreter && this.interpreter !== interpreter) {
+            throw new Error('This runtime is already used by another interpreter');
+        }
+        this.interpreter = interpreter;
+    }
+
+    /**
+     * Sets a variable. Watchers do not run right away: changed variables are
+     * collected and their watchers run together in a microtask (see flush),
+     * so setting several variables in a row triggers each watcher once.
+     * Setting a variable to an equal value is not a change.
+     */
+    setState(name, value) {
+        const changed = !this.state.has(name) || !sameValue(this.state.get(name), value);
+        this.state.set(name, value);
+        if (changed) this.invalidate(name);
+        if (!changed || !this.watchers.has(name)) return;
+        this.dirty.add(name);
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            queueMicrotask(() => this.interpreter.whenRunning(() => {
+                this.flushScheduled = false;
+                try {
+                    this.flush();
+                } catch (error) {
+                    this.interpreter.reportError(error);
+                }
+            }));
+        }
+    }
+
+    /**
+     * Runs the watchers of every changed variable, including variables
+     * changed by those watchers, until nothing is left to do. Each watcher
+     * runs at most once per change however many times its variable was set.
+     * Computed variables are brought up to date before any other watcher
+     * runs, so no watcher sees a stale one.
+     * @throws {Error} If watchers keep changing each other's variables.
+     */
+    flush() {
+        const pending = new Map(); // watcher -> the variable it watches
+        const runs = new Map(); // watcher -> times it ran in this flush
+        while (this.dirty.size > 0 || pending.size > 0) {
+            for (const name of this.dirty) {
+                (this.watchers.get(name) || []).forEach(callback => pending.set(callback, name));
+            }
+            this.dirty.clear();
+            // The variables changed, but their watchers were removed (e.g. by `unwatch`)
+            if (pending.size === 0) break;
+
+            const [callback, name] = [...pending].find(([cb]) => this.derivations.has(cb)) || pending.entries().next().value;
+            pending.delete(callback);
+            // A watcher removed by an earlier one (e.g. by `destroy`) no longer runs
+            if (!(this.watchers.get(name) || []).includes(callback)) continue;
+            const count = (runs.get(callback) || 0) + 1;
+            if (count > MAX_WATCHER_RUNS) {
+                this.dirty.clear();
+                throw new Error(`Reactive cycle: the watcher of "${name}" ran ${MAX_WATCHER_RUNS} times in one update`);
+            }
+            runs.set(callback, count);
+            callback(this.state.get(name));
+        }
+    }
+
+    // A computed variable read before its watchers have run is recalculated first
+    getState(name) {
+        if (this.stale.has(name)) this.computations.get(name).recompute();
+        return this.state.get(name);
+    }
+
+    // Marks the computed variables that depend on a changed variable, directly or not, as stale
+    invalidate(name) {
+        for (const [computed, { deps }] of this.computations) {
+            if (deps.has(name) && !this.stale.has(computed)) {
+                this.stale.add(computed);
+                this.invalidate(computed);
+            }
+        }
+    }
+
+    createWidget(name, type, options, parentName = null) {
+        if (parentName !== null && !this.isContainer(parentName)) {
+            throw new Error(`Cannot create "${name}" inside "${parentName}": not a container`);
+        }
+        const node = this.createNode(name, type, options);
+        this.widgets.set(name, node);
+        this.types.set(name, type);
+        this.parents.set(name, parentName);
+        if (type === 'CANVAS') this.scenes.set(name, new CanvasScene(name, node));
+        this.insertNode(name);
+
+        // Trailing `-option value` pairs configure the new widget like `conf` does
+        const { '-bind': boundVar, ...rest } = options;
+        const config = Object.fromEntries(Object.entries(rest).filter(([key]) => key.startsWith('-')));
+        this.updateWidget(name, config);
+        if (boundVar !== undefined) this.bindValue(name, boundVar);
+    }
+
+    /**
+     * Two-way binds a value-bearing widget to a state variable. Typing updates
+     * the variable; changing the variable updates the widget.
+     */
+    bindValue(name, varName) {
+        if (!this.widgets.has(name) || !this.hasValue(name)) {
+            throw new Error(`Widget "${name}" has no value to bind to "${varName}"`);
+        }
+        const syncToWidget = (value) => this.writeValue(name, formatValue(value));
+        this.listen(name, 'input', () => {
+            const value = this.readValue(name);
+            if (this.getState(varName) !== value) this.setState(varName, value);
+        });
+        this.watchState(varName, syncToWidget, name);
+
+        if (this.state.has(varName)) {
+            syncToWidget(this.getState(varName));
+        } else {
+            this.setState(varName, this.readValue(name));
+        }
+    }
+
+    isContainer(name) {
+        return this.types.get(name) === 'CONTAINER';
+    }
+
+    children(parentName) {
+        return [...this.parents].filter(([, parent]) => parent === parentName).map(([name]) => name);
+    }
+
+    packWidget(name, options) {
+        if (!this.widgets.has(name)) return;
+
+        const info = { ...(this.packInfo.get(name) || PACK_DEFAULTS) };
+        for (const key in options) {
+            const option = key.slice(1);
+            if (!(option in PACK_DEFAULTS)) throw new Error(`Unknown pack option "${key}"`);
+            const value = option === 'expand' ? toBoolean(options[key]) : options[key];
+            if (PACK_CHOICES[option] && !PACK_CHOICES[option].includes(value)) {
+                throw new Error(`Bad ${key} "${value}": must be one of ${PACK_CHOICES[option].join(', ')}`);
+            }
+            info[option] = value;
+        }
+
+        const parentName = this.parents.get(name);
+        this.checkGeometryManager(parentName, 'pack');
+        const slaves = this.packSlaves.get(parentName) || [];
+        // Repacking keeps a widget's place in the packing order
+        if (!slaves.includes(name)) slaves.push(name);
+        this.packSlaves.set(parentName, slaves);
+        this.packInfo.set(name, info);
+        this.layoutPacked(parentName);
+        this.remount(name);
+    }
+
+    unpackWidget(name) {
+        const parentName = this.parents.get(name);
+        const slaves = this.packSlaves.get(parentName);
+        if (!slaves || !slaves.includes(name)) return;
+
+        this.fireLifecycle(name, 'unmount');
+        slaves.splice(slaves.indexOf(name), 1);
+        this.packInfo.delete(name);
+        this.removeNode(name);
+        this.unmounted.add(name);
+        this.layoutPacked(parentName);
+    }
+
+    /**
+     * Destroys a widget and, first, all of its children. Everything the
+     * widget registered goes with it: its event bindings, the watchers of
+     * its `-bind` variable and, for a component instance, the watchers set
+     * up by the component's body and the instance's variables.
+     */
+    destroyWidget(name) {
+        if (!this.widgets.has(name)) throw new Error(`Cannot destroy "${name}": no such widget`);
+        this.children(name).forEach(child => this.destroyWidget(child));
+
+        if (!this.unmounted.delete(name)) this.fireLifecycle(name, 'unmount');
+        this.unbindWidget(name);
+        (this.disposers.get(name) || []).forEach(dispose => dispose());
+        this.disposers.delete(name);
+        for (const key of [...this.state.keys()].filter(key => key.startsWith(`${name}::`))) {
+            this.state.delete(key);
+        }
+
+        const parentName = this.parents.get(name);
+        const slaves = this.packSlaves.get(parentName) || [];
+        const packed = slaves.includes(name);
+        if (packed) slaves.splice(slaves.indexOf(name), 1);
+        const gridded = this.gridInfo.delete(name);
+        this.removeNode(name);
+        [this.packInfo, this.packSlaves, this.gridTracks, this.scenes, this.parents, this.types, this.widgets]
+            .forEach(registry => registry.delete(name));
+        if (packed) this.layoutPacked(parentName);
+        if (gridded) this.layoutGrid(parentName);
+    }
+
+    // Runs the `.mount` handlers of a widget that `pack forget` took out of the layout
+    remount(name) {
+        if (this.unmounted.delete(name)) this.fireLifecycle(name, 'mount');
+    }
+
+    /**
+     * Places a widget in a cell of its parent's grid, which is sized by
+     * `grid columnconfigure/rowconfigure`.
+     */
+    gridWidget(name, options) {
+        if (!this.widgets.has(name)) return;
+        const parentName = this.parents.get(name);
+        this.checkGeometryManager(parentName, 'grid');
+
+        const info = { ...(this.gridInfo.get(name) || GRID_DEFAULTS) };
+        for (const key in options) {
+            const option = key.slice(1);
+            if (!(option in GRID_DEFAULTS)) throw new Error(`Unknown grid option "${key}"`);
+            info[option] = option === 'sticky' ? String(options[key]) : toNumber(options[key]);
+        }
+        if (!/^[nsew]*$/.test(info.sticky)) {
+            throw new Error(`Bad -sticky "${info.sticky}": must be a combination of n, s, e and w`);
+        }
+        if (info.row === null) {
+            // Like Tk, a widget without -row goes on the row after the last used one
+            const rows = this.gridSlaves(parentName).map(slave => this.gridInfo.get(slave).row + this.gridInfo.get(slave).rowspan);
+            info.row = Math.max(0, ...rows);
+        }
+        this.gridInfo.set(name, info);
+        this.placeGridSlave(name);
+        this.layoutGrid(parentName);
+        this.remount(name);
+    }
+
+    gridConfigure(axis, parentName, index, options) {
+        const parent = parentName === '.' ? null : parentName;
+        if (parent !== null && !this.isContainer(parent)) throw new Error(`Not a container: ${parentName}`);
+        if (!this.gridTracks.has(parent)) this.gridTracks.set(parent, { row: new Map(), column: new Map() });
+
+        const tracks = this.gridTracks.get(parent)[axis];
+        const track = { ...GRID_TRACK_DEFAULTS, ...tracks.get(toNumber(index)) };
+        for (const key in options) {
+            const option = key.slice(1);
+            if (!(option in track)) throw new Error(`Unknown grid ${axis}configure option "${key}"`);
+            track[option] = toNumber(options[key]);
+        }
+        tracks.set(toNumber(index), track);
+        this.layoutGrid(parent);
+    }
+
+    gridSlaves(parentName) {
+        return [...this.gridInfo.keys()].filter(name => this.parents.get(name) === parentName);
+    }
+
+    /**
+     * Tk does not allow pack and grid to manage slaves of the same parent.
+     */
+    checkGeometryManager(parentName, manager) {
+        const packed = (this.packSlaves.get(parentName) || []).length > 0;
+        const gridded = this.gridSlaves(parentName).length > 0;
+        if ((manager === 'grid' && packed) || (manager === 'pack' && gridded)) {
+            const other = manager === 'grid' ? 'pack' : 'grid';
+            throw new Error(`Cannot use geometry manager ${manager} inside ${parentName || 'the root'}, which already has slaves managed by ${other}`);
+        }
+    }
+
+    draw(name, subcommand, args, options) {
+        const scene = this.scenes.get(name);
+        if (!scene) throw new Error(`Cannot draw on "${name}": not a canvas`);
+        return scene.draw(subcommand, args, options);
+    }
+
+    /**
+     * Binds handlers to a widget's events. Each handler receives the event
+     * as described by the backend (see describeEvent). The lifecycle events
+     * `mount` and `unmount` are fired by the runtime itself; as the widget
+     * already exists, a `mount` handler runs as soon as it is bound.
+     */
+    bindWidget(name, eventHandlers) {
+        if (!this.widgets.has(name)) return;
+        if (!this.bindings.has(name)) this.bindings.set(name, new Map());
+        const events = this.bindings.get(name);
+        for (const eventName in eventHandlers) {
+            const handler = nativeEvent => eventHandlers[eventName](this.describeEvent(name, eventName, nativeEvent));
+            let remove = () => {};
+            if (eventName !== 'mount' && eventName !== 'unmount') {
+                remove = this.listen(name, eventName, handler);
+            }
+            if (!events.has(eventName)) events.set(eventName, []);
+            events.get(eventName).push({ handler, remove });
+            if (eventName === 'mount' && !this.unmounted.has(name)) handler({});
+        }
+    }
+
+    /**
+     * Removes a widget's handlers for the given events, or for all of them.
+     * @param {string} name
+     * @param {string[]} [eventNames] Event names without the leading dot.
+     */
+    unbindWidget(name, eventNames = null) {
+        const events = this.bindings.get(name);
+        if (!events) return;
+        for (const eventName of eventNames || [...events.keys()]) {
+            (events.get(eventName) || []).forEach(({ remove }) => remove());
+            events.delete(eventName);
+        }
+        if (events.size === 0) this.bindings.delete(name);
+    }
+
+    fireLifecycle(name, type) {
+        const handlers = (this.bindings.get(name) || new Map()).get(type) || [];
+        handlers.forEach(({ handler }) => handler({}));
+    }
+
+    /**
+     * Calls `callback` with the new value whenever the variable changes.
+     * @param {string} varName
+     * @param {Function} callback
+     * @param {string|null} [owner] The widget whose destruction removes the watcher.
+     * @returns {Function} Removes the watcher.
+     */
+    watchState(varName, callback, owner = null) {
+        const unwatch = this.addWatcher(varName, callback);
+        this.addDisposer(owner, unwatch);
+        return unwatch;
+    }
+
+    addWatcher(varName, callback) {
+        if (!this.watchers.has(varName)) {
+            this.watchers.set(varName, []);
+        }
+        this.watchers.get(varName).push(callback);
+        return () => {
+            const callbacks = (this.watchers.get(varName) || []).filter(cb => cb !== callback);
+            if (callbacks.length > 0) this.watchers.set(varName, callbacks); else this.watchers.delete(varName);
+        };
+    }
+
+    addDisposer(owner, dispose) {
+        if (!this.disposers.has(owner)) this.disposers.set(owner, []);
+        this.disposers.get(owner).push(dispose);
+    }
+
+    /**
+     * Keeps a variable set to a value derived from other variables. The
+     * value is recalculated only when one of the variables read by the last
+     * calculation changes: when it is next read, or when watchers run,
+     * whichever comes first.
+     * @param {string} name
+     * @param {Function} evaluate Returns `{value, deps}`: the value and the names of the variables it read.
+     * @param {string|null} [owner] The widget whose destruction removes the definition.
+     */
+    defineComputed(name, evaluate, owner = null) {
+        if (this.computeds.has(name)) this.computeds.get(name)();
+        let unwatchDeps = [];
+        const computation = { deps: new Set() };
+        computation.recompute = () => {
+            this.stale.delete(name);
+            const { value, deps } = evaluate();
+            unwatchDeps.forEach(unwatch => unwatch());
+            computation.deps = new Set(deps.filter(dep => dep !== name));
+            unwatchDeps = [...computation.deps].map(dep => this.addWatcher(dep, refresh));
+            this.setState(name, value);
+        };
+        // Watchers of the dependencies; a read may already have recalculated the value
+        const refresh = () => {
+            if (this.stale.has(name)) computation.recompute();
+        };
+        const dispose = () => {
+            unwatchDeps.forEach(unwatch => unwatch());
+            if (this.computeds.get(name) === dispose) {
+                this.computeds.delete(name);
+                this.computations.delete(name);
+                this.stale.delete(name);
+            }
+        };
+        this.derivations.add(refresh);
+        this.computeds.set(name, dispose);
+        this.computations.set(name, computation);
+        this.addDisposer(owner, dispose);
+        computation.recompute();
+    }
+
+    // A `watch` handler, which unlike the watchers of `-bind` can be removed with `unwatch`
+    addWatch(varName, callback, owner = null) {
+        if (!this.watchHandlers.has(varName)) this.watchHandlers.set(varName, []);
+        this.watchHandlers.get(varName).push(this.watchState(varName, callback, owner));
+    }
+
+    unwatchState(varName) {
+        (this.watchHandlers.get(varName) || []).forEach(unwatch => unwatch());
+        this.watchHandlers.delete(varName);
+    }
+
+    /**
+     * Saves a variable in Web Storage. A value saved by an earlier session
+     * replaces the variable's current value; from then on every change is
+     * written back.
+     * @param {string} varName
+     * @param {object} options `-key` and `-storage` pairs from the command.
+     * @param {string|null} [owner] The widget whose destruction stops the saving.
+     */
+    persistState(varName, options, owner = null) {
+        const { key, kind } = persistOptions(varName, options);
+        let storage;
+        try {
+            storage = this.interpreter.storage[kind];
+        } catch (error) {
+            throw new Error(`Cannot persist "${varName}": ${kind} storage is not accessible (${error.message})`);
+        }
+        if (!storage) throw new Error(`Cannot persist "${varName}": no ${kind} storage available`);
+        this.persisted.add(varName);
+
+        const saved = storage.getItem(key);
+        let restored = false;
+        if (saved !== null) {
+            try {
+                this.setState(varName, JSON.parse(saved));
+                restored = true;
+            } catch {
+                // An unreadable entry (e.g. written by hand) is replaced below
+            }
+        }
+        if (!restored && this.state.has(varName)) storage.setItem(key, JSON.stringify(this.getState(varName)));
+        this.watchState(varName, value => storage.setItem(key, JSON.stringify(value)), owner);
+    }
+
+    /**
+     * Destroys every widget and forgets all state, procedures, components
+     * and watchers, so nothing from this app outlives it.
+     */
+    dispose() {
+        this.children(null).forEach(name => this.destroyWidget(name));
+        (this.disposers.get(null) || []).forEach(dispose => dispose());
+        [this.state, this.procs, this.components, this.watchers, this.watchHandlers, this.disposers, this.unmounted,
+            this.dirty, this.computeds, this.computations, this.stale, this.persisted].forEach(registry => registry.clear());
+    }
+
+    defineProc(name, procData) {
+        this.procs.set(name, procData);
+    }
+
+    defineComponent(name, componentData) {
+        this.components.set(name, componentData);
+    }
+}
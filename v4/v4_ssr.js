@@ -0,0 +1,165 @@
+import Parser from './v4_parser.js';
+import Compiler from './v4_compiler.js';
+import Interpreter from './v4_interpreter.js';
+import HeadlessRuntime from './v4_headless_runtime.js';
+import { ELEMENT_TAGS, OPTION_STYLES, CONTAINER_STYLE, planPack, gridSlaveStyle, gridStyle } from './v4_dom_runtime.js';
+import { MemoryStorage } from './v4_storage.js';
+import { TclWebError } from './v4_errors.js';
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function cssText(style) {
+    return Object.entries(style)
+        .map(([property, value]) => `${property.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: ${value}`)
+        .join('; ');
+}
+
+function element(tag, attributes, content = '') {
+    const attrs = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeHTML(value)}"`).join('');
+    return tag === 'input' ? `<${tag}${attrs}>` : `<${tag}${attrs}>${content}</${tag}>`;
+}
+
+/**
+ * Writes the markup DOMRuntime would build for the widgets recorded by a
+ * HeadlessRuntime, with the same ids, inline styles and layout elements, so
+ * a DOMRuntime can hydrate it.
+ */
+class MarkupWriter {
+    constructor(runtime) {
+        this.runtime = runtime;
+    }
+
+    // The style a container's layout gives the container, and its contents
+    layout(parentName) {
+        const { runtime } = this;
+        const packed = runtime.packSlaves.get(parentName) || [];
+        const gridded = runtime.gridSlaves(parentName);
+        const unmanaged = runtime.children(parentName)
+            .filter(name => !packed.includes(name) && !gridded.includes(name) && !runtime.unmounted.has(name));
+
+        // Like the DOM, widgets a geometry manager placed come after the others
+        const contents = unmanaged.map(name => this.widget(name)).join('');
+        if (gridded.length > 0) {
+            return {
+                style: gridStyle(gridded.map(name => runtime.gridInfo.get(name)), runtime.gridTracks.get(parentName)),
+                contents: contents + gridded.map(name => this.widget(name, gridSlaveStyle(runtime.gridInfo.get(name)))).join(''),
+            };
+        }
+        const plan = planPack(packed, runtime.packInfo);
+        return { style: plan.style, contents: contents + this.planned(plan.children) };
+    }
+
+    planned(items) {
+        return items.map(item => item.wrapper
+            ? element('div', { 'data-pack-wrapper': '', style: cssText(item.style) }, this.planned(item.children))
+            : this.widget(item.widget, item.style)).join('');
+    }
+
+    widget(name, slaveStyle = {}) {
+        const node = this.runtime.widget(name);
+        const attributes = { id: name, 'data-widget-type': node.type };
+        let style = node.type === 'CONTAINER' ? { ...CONTAINER_STYLE } : {};
+        for (const [option, value] of Object.entries(node.style)) {
+            style = { ...style, ...OPTION_STYLES[`-${option}`](value) };
+        }
+
+        let content = '';
+        switch (node.type) {
+            case 'LABEL':
+            case 'BUTTON':
+                content = escapeHTML(node.text);
+                break;
+            case 'INPUT':
+                attributes.value = node.value;
+                break;
+            case 'LISTBOX':
+                content = node.items.map(item => `<li>${escapeHTML(item)}</li>`).join('');
+                break;
+            case 'CANVAS':
+                attributes.width = node.width;
+                attributes.height = node.height;
+                break;
+            case 'CONTAINER': {
+                const layout = this.layout(name);
+                style = { ...style, ...layout.style };
+                content = layout.contents;
+                break;
+            }
+        }
+        style = { ...style, ...slaveStyle };
+        if (Object.keys(style).length > 0) attributes.style = cssText(style);
+        return element(ELEMENT_TAGS[node.type], attributes, content);
+    }
+
+    root(rootId) {
+        const { style, contents } = this.layout(null);
+        return element('div', { id: rootId, style: cssText({ ...CONTAINER_STYLE, ...style }) }, contents);
+    }
+}
+
+/**
+ * Runs a program's top-level code against a HeadlessRuntime and renders the
+ * resulting widgets as static HTML, for a first paint without the VM. The
+ * page then hydrates it with `new Interpreter(rootId, { hydrate: state })`
+ * and runs the same program.
+ *
+ * Watchers run before the markup is written. Canvas drawings are not
+ * rendered, and `http.*` requests are not sent unless a `transport` is
+ * given, as the client sends them again after hydrating; either way their
+ * responses are not rendered. The client fills them in.
+ * @param {{bytecode: Array, constants: Array, locations?: Array}} program As produced by the Compiler.
+ * @param {object} [options] Options for the Interpreter, and:
+ * @param {string} [options.rootId] The id of the root element, `root` by default.
+ * @param {Function} [options.transport] Sends `http.*` requests; by default
+ *     none are sent.
+ * @returns {{html: string, state: string}} The root element's markup, and the
+ *     snapshot of the state (see Interpreter#snapshot), which is safe to
+ *     embed in a `<script>` element.
+ */
+export function render(program, options = {}) {
+    const { rootId = 'root', ...interpreterOptions } = options;
+    const runtime = new HeadlessRuntime();
+    // The server has no saved values: `persist` keeps each variable's initial value.
+    // Requests never settle, so a POST is not sent twice
+    const interpreter = new Interpreter(runtime, {
+        storage: { local: new MemoryStorage(), session: new MemoryStorage() },
+        transport: () => new Promise(() => {}),
+        ...interpreterOptions,
+    });
+    interpreter.run(program.bytecode, program.constants, new Map(), program.locations);
+    runtime.flush();
+
+    const html = new MarkupWriter(runtime).root(rootId);
+    const state = interpreter.snapshot().replace(/</g, '\\u003c');
+    // Callbacks that are still pending, such as HTTP responses, are ignored
+    interpreter.dispose();
+    return { html, state };
+}
+
+/**
+ * Compiles and renders TCL-Web source (see render).
+ * @param {string} source
+ * @param {object} [options]
+ * @returns {{html: string, state: string}}
+ */
+export function renderSource(source, options = {}) {
+    return render(new Compiler().compile(new Parser().parse(source)), options);
+}
+
+// deno run --allow-read v4_ssr.js app.tcl > app.html
+if (import.meta.main) {
+    const [input] = Deno.args;
+    if (!input) {
+        console.error('usage: v4_ssr.js <source.tcl>');
+        Deno.exit(2);
+    }
+    try {
+        const { html, state } = renderSource(Deno.readTextFileSync(input));
+        console.log(`${html}\n<script type="application/json" id="tcl-web-state">${state}</script>`);
+    } catch (error) {
+        console.error(`${input}: ${error instanceof TclWebError ? error.format() : error.message}`);
+        Deno.exit(1);
+    }
+}
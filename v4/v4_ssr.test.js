@@ -0,0 +1,176 @@
+import { assertEquals, assertStringIncludes } from "https://deno.land/std@0.224.0/testing/asserts.ts";
+import { DOMParser } from "https://deno.land/x/deno_dom/deno-dom-wasm.ts";
+
+import Parser from "./v4_parser.js";
+import Compiler from "./v4_compiler.js";
+import Interpreter from "./v4_interpreter.js";
+import { renderSource } from "./v4_ssr.js";
+import { MemoryStorage } from "./v4_storage.js";
+
+const TODO_APP = `
+set todos [list "Learn TCL-Web"]
+set new_todo ""
+c main
+  l title "Todos"
+  listbox todo_list -items {$todos}
+  c toolbar
+    i todo_input -bind new_todo
+    b add "Add"
+    b clear "Clear"
+pack title -side top -fill x
+pack todo_list -side top -fill both -expand yes
+pack toolbar -side bottom
+pack todo_input -side left
+pack add -side left
+pack clear -side right -expand yes
+conf title -bg navy -fg white
+bind add
+  .click
+    lappend todos {$new_todo}
+    set new_todo ""
+watch todos
+  conf todo_list -items {$todos}
+`;
+
+function compile(code) {
+    return new Compiler().compile(new Parser().parse(code));
+}
+
+function run(interpreter, code) {
+    const { bytecode, constants, locations } = compile(code);
+    return interpreter.run(bytecode, constants, new Map(), locations);
+}
+
+function serve(code, options) {
+    const { html, state } = renderSource(code, options);
+    const document = new DOMParser().parseFromString(html, "text/html");
+    return { document, state };
+}
+
+// Tag, attributes and children of an element, ignoring the order of attributes
+// and of style declarations. An input's value may be an attribute or a property.
+function describe(element) {
+    const attributes = {};
+    for (const { name, value } of element.attributes) {
+        if (name === "style") {
+            attributes.style = value.split(";").map(declaration => declaration.replace(/\s/g, "")).filter(Boolean).sort();
+        } else if (name !== "value") {
+            attributes[name] = value;
+        }
+    }
+    if (element.tagName === "INPUT") attributes.value = element.getAttribute("value") ?? element.value;
+    return {
+        tag: element.tagName,
+        attributes,
+        text: element.children.length === 0 ? element.textContent : "",
+        children: [...element.children].map(describe),
+    };
+}
+
+Deno.test("SSR: renders the markup the DOM runtime builds", () => {
+    const { document: served } = serve(TODO_APP);
+
+    const document = new DOMParser().parseFromString(`<div id="root"></div>`, "text/html");
+    run(new Interpreter(document.getElementById("root")), TODO_APP);
+    assertEquals(describe(served.getElementById("root")), describe(document.getElementById("root")));
+
+    const grid = `c form\n  l name_label "Name"\n  i name_field -value "Ada"\ngrid name_label -row 0 -column 0 -sticky w\ngrid name_field -row 0 -column 1 -sticky ew\ngrid columnconfigure form 1 -weight 1`;
+    const gridDocument = new DOMParser().parseFromString(`<div id="root"></div>`, "text/html");
+    run(new Interpreter(gridDocument.getElementById("root")), grid);
+    assertEquals(describe(serve(grid).document.getElementById("root")), describe(gridDocument.getElementById("root")));
+});
+
+Deno.test("SSR: escapes text and embeds the state safely", () => {
+    const { html, state } = renderSource(`set note "</script><b>&"\nl note_label {$note}\ni field -value "\\"quoted\\""`, { rootId: "app" });
+    assertStringIncludes(html, `<div id="app"`);
+    assertStringIncludes(html, `&#60;/script&#62;&#60;b&#62;&#38;</label>`);
+    assertStringIncludes(html, `value="&#34;quoted&#34;"`);
+    assertEquals(state.includes("<"), false);
+    assertEquals(JSON.parse(state).state.note, "</script><b>&");
+});
+
+Deno.test("SSR: watchers run before rendering and persist uses no saved values", () => {
+    const { document, state } = serve(`
+set count 1
+persist count
+l shown ""
+watch count
+  conf shown -text "Count: {$count}"
+set count 2
+`);
+    assertEquals(document.getElementById("shown").textContent, "Count: 2");
+    assertEquals(JSON.parse(state).state.count, 2);
+});
+
+Deno.test("SSR: http requests are not sent by default", async () => {
+    const originalFetch = globalThis.fetch;
+    const fetched = [];
+    globalThis.fetch = url => {
+        fetched.push(url);
+        return new Promise(() => {});
+    };
+    const code = `http.post "/orders" -body "one"\n  .callback\n    set placed 1`;
+    try {
+        renderSource(code);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assertEquals(fetched, []);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    // A transport given by the caller is used
+    const sent = [];
+    const transport = request => {
+        sent.push(`${request.method} ${request.url}`);
+        return new Promise(() => {});
+    };
+    renderSource(code, { transport });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assertEquals(sent, ["POST /orders"]);
+});
+
+Deno.test("SSR: hydration reuses the server's elements", async () => {
+    const { document, state } = serve(TODO_APP);
+    globalThis.document = document;
+    const served = ["main", "title", "todo_list", "todo_input", "add"].map(id => document.getElementById(id));
+    const wrappers = document.querySelectorAll("[data-pack-wrapper]").length;
+
+    const interpreter = new Interpreter("root", { hydrate: state });
+    run(interpreter, TODO_APP);
+
+    // Nothing was recreated or duplicated
+    assertEquals(["main", "title", "todo_list", "todo_input", "add"].map(id => document.getElementById(id)), served);
+    assertEquals(document.querySelectorAll("[data-widget-type]").length, 7);
+    assertEquals(document.querySelectorAll("[data-pack-wrapper]").length, wrappers);
+
+    // Handlers are attached to the existing markup
+    const input = document.getElementById("todo_input");
+    input.value = "Ship SSR";
+    input.dispatchEvent(new Event("input"));
+    document.getElementById("add").dispatchEvent(new Event("click"));
+    await Promise.resolve();
+    assertEquals([...document.querySelectorAll("#todo_list li")].map(li => li.textContent), ["Learn TCL-Web", "Ship SSR"]);
+
+    // Widgets created after hydration are new
+    run(interpreter, `l footer "Done"`);
+    assertEquals(document.getElementById("footer").textContent, "Done");
+});
+
+Deno.test("SSR: hydration restores the server's state, except persisted values", async () => {
+    const code = `set greeting "Hello"\nset theme "light"\npersist theme\nl message {$greeting}\nwatch greeting\n  conf message -text {$greeting}`;
+    const { document, state } = serve(code);
+    // The server may know things the client does not, e.g. who is signed in
+    const server = JSON.parse(state);
+    server.state.greeting = "Hello, Ada";
+    document.getElementById("message").textContent = "Hello, Ada";
+    globalThis.document = document;
+
+    const storage = { local: new MemoryStorage({ theme: `"dark"` }), session: new MemoryStorage() };
+    const interpreter = new Interpreter("root", { hydrate: JSON.stringify(server), storage });
+    run(interpreter, code);
+    await Promise.resolve();
+
+    assertEquals(interpreter.runtime.getState("greeting"), "Hello, Ada");
+    assertEquals(interpreter.runtime.getState("theme"), "dark");
+    assertEquals(document.getElementById("message").textContent, "Hello, Ada");
+});
@@ -0,0 +1,67 @@
+import { formatValue } from './v4_values.js';
+
+export const STORAGE_KINDS = ['local', 'session'];
+
+const PERSIST_OPTIONS = ['key', 'storage'];
+
+/**
+ * An in-memory implementation of the parts of the Web Storage interface
+ * used by `persist`, for tests and for environments without `localStorage`.
+ */
+export class MemoryStorage {
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * The default storage adapter: the browser's Web Storage objects. An
+ * adapter maps each storage kind (`local`, `session`) to an object with
+ * `getItem` and `setItem`. Each object is looked up when it is used, as
+ * the lookup throws where storage is disabled.
+ * @returns {{local: Storage, session: Storage}}
+ */
+export function browserStorage() {
+    return {
+        get local() { return globalThis.localStorage; },
+        get session() { return globalThis.sessionStorage; },
+    };
+}
+
+/**
+ * Converts `persist` options into the storage key and kind.
+ * @param {string} varName
+ * @param {object} options `-option value` pairs from the command.
+ * @returns {{key: string, kind: string}}
+ */
+export function persistOptions(varName, options) {
+    const result = { key: varName, kind: 'local' };
+    for (const name in options) {
+        const option = name.slice(1);
+        if (!PERSIST_OPTIONS.includes(option)) {
+            throw new Error(`Unknown persist option "${name}": must be one of ${PERSIST_OPTIONS.map(o => `-${o}`).join(', ')}`);
+        }
+        const value = formatValue(options[name]);
+        if (option === 'storage') {
+            if (!STORAGE_KINDS.includes(value)) {
+                throw new Error(`Bad -storage "${value}": must be one of ${STORAGE_KINDS.join(', ')}`);
+            }
+            result.kind = value;
+        } else {
+            result.key = value;
+        }
+    }
+    return result;
+}
@@ -0,0 +1,151 @@
+/**
+ * Value helpers shared by the VM and its builtins. TCL-Web values are plain
+ * JavaScript values; strings that look like numbers or booleans are accepted
+ * wherever a number or boolean is expected.
+ */
+
+const TRUE_WORDS = ['true', 'yes', 'on', '1'];
+const FALSE_WORDS = ['false', 'no', 'off', '0', ''];
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a number or a numeric string.
+ */
+export function isNumeric(value) {
+    if (typeof value === 'number') return !Number.isNaN(value);
+    return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value));
+}
+
+/**
+ * Converts a value to a number, throwing if it is not numeric.
+ * @param {*} value
+ * @returns {number}
+ */
+export function toNumber(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (!isNumeric(value)) {
+        throw new Error(`Expected a number but got "${formatValue(value)}"`);
+    }
+    return Number(value);
+}
+
+/**
+ * The value of a number written in source or in an expression. A float
+ * that is a whole number, such as `2.0` or `1e3`, keeps its text, as a
+ * JavaScript number would turn it into an integer.
+ * @param {string} text A number in canonical form.
+ * @returns {number|string}
+ */
+export function numberFromText(text) {
+    const value = Number(text);
+    return Number.isInteger(value) && /[.eE]/.test(text) ? text : value;
+}
+
+/**
+ * Whether a numeric value is a float: a number with a fraction, or text
+ * written with a decimal point or an exponent.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isFloat(value) {
+    if (typeof value === 'string' && /\.|^\s*[-+]?\d+[eE]/.test(value)) return true;
+    return !Number.isInteger(toNumber(value));
+}
+
+/**
+ * The result of float arithmetic. Whole numbers are written with a `.0`
+ * so that they stay floats, as in Tcl.
+ * @param {number} value
+ * @returns {number|string}
+ */
+export function floatValue(value) {
+    if (!Number.isInteger(value)) return value;
+    if (Object.is(value, -0)) return '-0.0';
+    const text = String(value);
+    return text.includes('e') ? text : value.toFixed(1);
+}
+
+/**
+ * Converts a value to a boolean using Tcl's rules for boolean words.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    if (isNumeric(value)) return Number(value) !== 0;
+    if (typeof value === 'string') {
+        const word = value.trim().toLowerCase();
+        if (TRUE_WORDS.includes(word)) return true;
+        if (FALSE_WORDS.includes(word)) return false;
+    }
+    if (value === null || value === undefined) return false;
+    throw new Error(`Expected a boolean but got "${formatValue(value)}"`);
+}
+
+/**
+ * Compares two values numerically when both are numeric, otherwise as strings.
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} Negative, zero or positive, like a sort comparator.
+ */
+export function compareValues(a, b) {
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b);
+    }
+    const left = formatValue(a);
+    const right = formatValue(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Converts a value to a list. Strings are split on whitespace, as in Tcl.
+ * @param {*} value
+ * @returns {Array}
+ */
+export function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined) return [];
+    if (typeof value === 'string') return value.trim() === '' ? [] : value.trim().split(/\s+/);
+    return [value];
+}
+
+/**
+ * Whether setting a variable from `a` to `b` leaves it unchanged. Lists and
+ * dictionaries are compared by content, so rebuilding an equal value is not
+ * a change.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+    if (Object.is(a, b)) return true;
+    const isStructured = value => value !== null && typeof value === 'object';
+    return isStructured(a) && isStructured(b) && JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Follows a path of keys (object properties or list indices) into a value.
+ * @param {*} value
+ * @param {string[]} path
+ * @returns {*} The value at the path, or undefined if any step is missing.
+ */
+export function getPath(value, path) {
+    let current = value;
+    for (const key of path) {
+        if (current === null || typeof current !== 'object') return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+/**
+ * Renders a value as the string a user would see in the UI.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
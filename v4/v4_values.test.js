@@ -0,0 +1,45 @@
+import {
+  assertEquals,
+  assertThrows,
+} from "https://deno.land/std@0.224.0/testing/asserts.ts";
+import { isNumeric, toNumber, toBoolean, compareValues, formatValue, sameValue, numberFromText, isFloat, floatValue } from "./v4_values.js";
+
+Deno.test("Values: Numeric strings are numbers", () => {
+    assertEquals(isNumeric("42"), true);
+    assertEquals(isNumeric(" 4.5 "), true);
+    assertEquals(isNumeric(""), false);
+    assertEquals(isNumeric("abc"), false);
+    assertEquals(toNumber("7"), 7);
+    assertEquals(toNumber(true), 1);
+    assertThrows(() => toNumber("seven"), Error, "Expected a number");
+});
+
+Deno.test("Values: Floats keep their type", () => {
+    assertEquals([numberFromText("7"), numberFromText("2.5"), numberFromText("2.0"), numberFromText("1e3")], [7, 2.5, "2.0", "1e3"]);
+    assertEquals(["2.0", "1e3", 2.5, "2.5", 7, "7", "0x1E", true].map(isFloat), [true, true, true, true, false, false, false, false]);
+    assertEquals([floatValue(3.5), floatValue(4), floatValue(-0), floatValue(1e21)], [3.5, "4.0", "-0.0", "1e+21"]);
+});
+
+Deno.test("Values: Boolean words", () => {
+    assertEquals(toBoolean("yes"), true);
+    assertEquals(toBoolean("Off"), false);
+    assertEquals(toBoolean("2"), true);
+    assertEquals(toBoolean(0), false);
+    assertEquals(toBoolean(""), false);
+    assertThrows(() => toBoolean("maybe"), Error, "Expected a boolean");
+});
+
+Deno.test("Values: Comparison is numeric only when both sides are", () => {
+    assertEquals(compareValues("10", 9) > 0, true);
+    assertEquals(compareValues("10", "9a") < 0, true);
+    assertEquals(formatValue(["a", 1]), '["a",1]');
+    assertEquals(formatValue(undefined), "");
+});
+
+Deno.test("Values: Change detection compares lists and dicts by content", () => {
+    assertEquals(sameValue("a", "a"), true);
+    assertEquals(sameValue(5, "5"), false);
+    assertEquals(sameValue([1, [2]], [1, [2]]), true);
+    assertEquals(sameValue({ a: 1 }, { a: 2 }), false);
+    assertEquals(sameValue([], ""), false);
+});